@@ -16,6 +16,9 @@ function main() {
 	logger.warn("This is a warning message.");
 	logger.error("This is an error message.");
 	logger.fatal("This is a fatal message.");
+
+	// Format specifiers work like console.log
+	logger.info("User %s signed in after %dms.", "jane", 42);
 }
 
 main();
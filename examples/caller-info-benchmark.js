@@ -0,0 +1,63 @@
+/**
+ * Caller Info Benchmark Example
+ * Measures the cost of caller information per log call.
+ *
+ * Lines are written to a stream that discards them, so only formatting is measured.
+ * Run with `node examples/caller-info-benchmark.js [iterations]`.
+ */
+
+const { Writable } = require("stream");
+const ACL = require("../index");
+
+const iterations = Number(process.argv[2]) || 20000;
+
+// A stream that discards every line
+const sink = new Writable({
+	write(chunk, encoding, callback) {
+		callback();
+	},
+});
+
+const scenarios = {
+	"No caller info": {},
+	"Inline caller info": {
+		includeInlineCallerInfo: true,
+		inlineCallerInfoLevel: 3,
+	},
+	"Caller info block": {
+		includeCallerInfo: true,
+		callerInfoLevel: 1,
+	},
+	"Inline and block": {
+		includeInlineCallerInfo: true,
+		inlineCallerInfoLevel: 3,
+		includeCallerInfo: true,
+		callerInfoLevel: 1,
+	},
+};
+
+function run(name, config) {
+	const logger = new ACL({ logLevel: 1, stream: sink, ...config });
+
+	// Warm up before measuring
+	for (let i = 0; i < 1000; i++) {
+		logger.info("Warm up", i);
+	}
+
+	const start = process.hrtime.bigint();
+	for (let i = 0; i < iterations; i++) {
+		logger.info("Benchmark line", i);
+	}
+	const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+	console.log(
+		`${name.padEnd(20)} ${((elapsed * 1000) / iterations)
+			.toFixed(2)
+			.padStart(8)} µs/line`
+	);
+	logger.close();
+}
+
+for (const [name, config] of Object.entries(scenarios)) {
+	run(name, config);
+}
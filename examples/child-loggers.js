@@ -0,0 +1,28 @@
+/**
+ * Child Loggers Example
+ * Demonstrates binding request-scoped context fields to child loggers.
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL
+const logger = ACL.getInstance({
+	logLevel: 1,
+});
+
+function handleRequest(requestId, userId) {
+	// Every line written by the child includes the bound fields
+	const requestLogger = logger.child({ requestId });
+	requestLogger.info("Request received.");
+
+	// Children of children merge their fields
+	const userLogger = requestLogger.child({ userId });
+	userLogger.warn("User is close to their quota.");
+}
+
+function main() {
+	handleRequest("f3a9", 42);
+	handleRequest("b71c", 7);
+}
+
+main();
@@ -0,0 +1,42 @@
+/**
+ * Console Methods Example
+ * Demonstrates group, table, count, assert, and timeLog, which work like their console counterparts.
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL that also writes the lines to a file
+const logger = ACL.getInstance({
+	logLevel: 1,
+	enableTimers: true,
+	outputFilename: "console-methods.log",
+	outputFileLogLevel: 1,
+});
+
+const orders = [
+	{ id: 1, item: "Keyboard", price: 49 },
+	{ id: 2, item: "Monitor", price: 199 },
+];
+
+function main() {
+	logger.time("orders");
+
+	// Every line logged inside a group is indented, in the console and in the file
+	logger.group("Processing orders");
+	logger.table(orders, ["item", "price"]);
+
+	for (const order of orders) {
+		logger.count("order");
+		logger.assert(order.price < 100, "Order %d needs approval", order.id);
+	}
+	logger.timeLog("orders", "after", orders.length, "orders");
+	logger.groupEnd();
+
+	logger.countReset("order");
+	logger.info("Done");
+
+	// Close the logger
+	logger.close();
+}
+
+main();
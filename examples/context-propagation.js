@@ -0,0 +1,34 @@
+/**
+ * Context Propagation Example
+ * Demonstrates adding context fields to every line logged within an async call tree.
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL
+const logger = ACL.getInstance({
+	logLevel: 1,
+});
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function loadUser(userId) {
+	await delay(10);
+	// No logger or context is passed in, the active fields are added automatically
+	logger.info("User loaded.", userId);
+}
+
+async function handleRequest(requestId, userId) {
+	await logger.runWithContext({ requestId }, async () => {
+		logger.info("Request received.");
+		await loadUser(userId);
+		await logger.infoAsync("Request complete.");
+	});
+}
+
+async function main() {
+	// Both requests run concurrently, yet each line carries its own requestId
+	await Promise.all([handleRequest("f3a9", 42), handleRequest("b71c", 7)]);
+}
+
+main();
@@ -1,6 +1,6 @@
 /**
  * Custom Colors Example
- * Demonstrates setting custom colors for log levels.
+ * Demonstrates setting custom colors and themes for log levels.
  */
 
 const ACL = require("../index");
@@ -17,6 +17,15 @@ const logger = new ACL({
 	},
 });
 
+// Create an instance of ACL with a built-in theme and hex colors
+const themedLogger = new ACL({
+	theme: "high-contrast",
+	color: {
+		info: "#ff8800", // Downsampled when truecolor is not supported
+		timestamp: "rgb(120, 120, 120)",
+	},
+});
+
 function main() {
 	logger.debug("This is a debug message with custom color.");
 	logger.log("This is a log message with custom color.");
@@ -24,6 +33,9 @@ function main() {
 	logger.warn("This is a warning message with custom color.");
 	logger.error("This is an error message with custom color.");
 	logger.fatal("This is a fatal message with custom color.");
+
+	themedLogger.info("This is an info message with a hex color.");
+	themedLogger.warn("This is a warning message from the high-contrast theme.");
 }
 
 main();
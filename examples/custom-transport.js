@@ -0,0 +1,34 @@
+/**
+ * Custom Transport Example
+ * Demonstrates sending log records to a custom destination with addTransport.
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL
+const logger = ACL.getInstance({
+	logLevel: 1,
+});
+
+// Collect warnings and errors in memory, e.g. to forward to a monitoring service
+const alerts = [];
+
+logger.addTransport({
+	name: "alerts",
+	level: 3, // warn and above
+	format: (record) => `${record.levelName.toUpperCase()}: ${record.msg}`,
+	log: (output) => alerts.push(output),
+});
+
+function main() {
+	logger.info("This message is only written to the console.");
+	logger.warn("Disk usage is above 80%.");
+	logger.error("Unable to connect to the database.");
+
+	console.log(alerts);
+
+	// Remove the transport when it is no longer needed
+	logger.removeTransport("alerts");
+}
+
+main();
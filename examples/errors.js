@@ -0,0 +1,38 @@
+/**
+ * Errors Example
+ * Demonstrates logging errors with cause chains, aggregated errors, and custom properties.
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL that adds a stack trace to error lines
+const logger = ACL.getInstance({
+	logLevel: 1,
+	includeStackTrace: true,
+});
+
+function readConfig() {
+	const err = new Error("ENOENT: no such file or directory");
+	err.code = "ENOENT";
+	err.errno = -2;
+	return err;
+}
+
+function loadSettings() {
+	return new Error("Unable to load settings", { cause: readConfig() });
+}
+
+function main() {
+	// The cause is printed below the error, without the frames both errors share
+	logger.error("Startup failed:", loadSettings());
+
+	// Each error of an AggregateError is printed below it
+	logger.error(
+		new AggregateError(
+			[new TypeError("Invalid port"), new RangeError("Timeout out of range")],
+			"Invalid configuration"
+		)
+	);
+}
+
+main();
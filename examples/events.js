@@ -0,0 +1,43 @@
+/**
+ * Events Example
+ * Demonstrates reacting to log lines and file events with event listeners.
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL
+const logger = ACL.getInstance({
+	logLevel: 1,
+	outputFilename: "events.log",
+	rateLimit: { limit: 2 },
+});
+
+// Stands in for a metrics client
+const metrics = { errors: 0, dropped: 0 };
+
+logger.on("error", () => metrics.errors++);
+logger.on("fatal", (record) => {
+	console.log(`Health check failed: ${record.msg}`);
+});
+logger.on("drop", ({ reason }) => {
+	if (reason === "rateLimit") metrics.dropped++;
+});
+logger.on("rotate", ({ rotatedFile }) => {
+	console.log(`Log file rotated to ${rotatedFile}`);
+});
+logger.on("close", () => console.log("Logger closed, metrics:", metrics));
+
+async function main() {
+	logger.info("Application started");
+
+	// The first two lines are logged, the others are dropped by the rate limit
+	for (let i = 0; i < 5; i++) {
+		logger.error("Unable to reach the payment service");
+	}
+	logger.fatal("Database connection lost");
+
+	// Close the logger
+	await logger.close();
+}
+
+main();
@@ -0,0 +1,37 @@
+/**
+ * Flight Recorder Example
+ * Demonstrates writing out the debug lines that led up to a fatal error.
+ */
+
+const ACL = require("../index");
+
+const logger = ACL.getInstance({
+	logLevel: 2, // Debug lines are not printed
+	outputFilename: "flight-recorder.log",
+	outputFileLogLevel: 2,
+	flightRecorder: { maxEntries: 50 },
+	terminateOnFatal: false,
+});
+
+function connect(attempt) {
+	logger.debug(`Connecting to the database, attempt ${attempt}`);
+	logger.debug("Connection refused");
+}
+
+function main() {
+	logger.info("Application started");
+	for (let attempt = 1; attempt <= 3; attempt++) {
+		connect(attempt);
+	}
+
+	// Prints the fatal line, followed by the recorded debug lines on stderr and in the file
+	logger.fatal("Could not connect to the database");
+
+	// The recorder was emptied, so this writes only the line logged since
+	logger.debug("Shutting down");
+	logger.dumpRecent();
+
+	logger.close();
+}
+
+main();
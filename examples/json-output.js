@@ -0,0 +1,24 @@
+/**
+ * JSON Output Example
+ * Demonstrates writing file logs as newline delimited JSON (NDJSON).
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL that writes one JSON object per line
+const logger = ACL.getInstance({
+	outputFilename: "json-app.log",
+	outputFormat: "json",
+	includeInlineCallerInfo: true,
+});
+
+function main() {
+	logger.info("User signed in", { id: 42, roles: ["admin", "editor"] });
+	logger.warn("Cache miss for key", "session:42");
+	logger.error(new Error("Unable to reach the payment provider"));
+
+	// Close the logger
+	logger.close();
+}
+
+main();
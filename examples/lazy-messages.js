@@ -0,0 +1,30 @@
+/**
+ * Lazy Messages Example
+ * Demonstrates skipping expensive message building for filtered levels.
+ */
+
+const ACL = require("../index");
+
+// Debug lines are filtered out on the console
+const logger = ACL.getInstance({ logLevel: 2 });
+
+// Stands in for a large payload that is slow to serialize
+const payload = { items: Array.from({ length: 10000 }, (_, id) => ({ id })) };
+
+function main() {
+	// The thunk is never called, so the payload is not serialized
+	logger.debug(() => `Payload: ${JSON.stringify(payload)}`);
+
+	// The thunk is called because warn lines are shown
+	logger.warn("Payload has %d items", () => payload.items.length);
+
+	// Skip a whole block that only prepares log output
+	if (logger.isLevelEnabled("debug")) {
+		const ids = payload.items.map((item) => item.id);
+		logger.debug("Item ids:", ids);
+	} else {
+		logger.warn("Debug lines are disabled, skipped collecting item ids.");
+	}
+}
+
+main();
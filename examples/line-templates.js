@@ -0,0 +1,26 @@
+/**
+ * Line Templates Example
+ * Demonstrates customizing the console and file line layout with templates.
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL with console and file templates
+const logger = ACL.getInstance({
+	logLevel: 0,
+	consoleTemplate: "{timestamp} {level:5} {context} {msg}",
+	outputFilename: "logs/line-templates.log",
+	outputFileLogLevel: 0,
+	fileTemplate: "{timestamp} pid={pid} [{level:^7}] {context} {msg}",
+});
+
+function main() {
+	logger.debug("Templates are compiled once when the logger is created");
+	logger.info("The level column is padded to a fixed width");
+
+	const requestLogger = logger.child({ requestId: "req-42" });
+	requestLogger.warn("Context fields are rendered by the {context} token");
+	requestLogger.error("Empty tokens don't leave extra spaces");
+}
+
+main();
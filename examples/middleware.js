@@ -0,0 +1,35 @@
+/**
+ * Middleware Example
+ * Demonstrates dropping, rewriting, and enriching log records with use.
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL
+const logger = ACL.getInstance({
+	logLevel: 1,
+});
+
+logger
+	// Drop health check noise
+	.use((record) => {
+		if (record.args[0] === "GET /health") return false;
+	})
+	// Add build metadata to every line
+	.use((record) => {
+		record.context.build = "1.4.2";
+	})
+	// Rewrite a message of a library we don't control
+	.use((record) => {
+		if (record.args[0] === "ECONNRESET") {
+			return { ...record, args: ["Connection reset by peer, retrying"] };
+		}
+	});
+
+function main() {
+	logger.info("GET /health"); // Dropped
+	logger.info("GET /orders");
+	logger.warn("ECONNRESET");
+}
+
+main();
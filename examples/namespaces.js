@@ -0,0 +1,27 @@
+/**
+ * Namespaces Example
+ * Demonstrates namespaced loggers with pattern-based console levels.
+ * Patterns can also be set with the `ACL_DEBUG` environment variable, e.g. `ACL_DEBUG=http node namespaces.js`.
+ */
+
+const ACL = require("../index");
+
+// Only warnings and errors by default, but every level for the `db` namespaces except `db:verbose`
+const logger = ACL.getInstance({
+	logLevel: 2,
+	namespaces: "db:*,-db:verbose",
+});
+
+const dbLogger = logger.namespace("db");
+const poolLogger = dbLogger.namespace("pool");
+const verboseLogger = dbLogger.namespace("verbose");
+const httpLogger = logger.namespace("http");
+
+function main() {
+	poolLogger.debug("Connection acquired from the pool");
+	verboseLogger.debug("Raw query plan (hidden by -db:verbose)");
+	httpLogger.info("GET /users (hidden, logLevel is 2)");
+	httpLogger.warn("GET /users took 1200ms");
+}
+
+main();
@@ -0,0 +1,31 @@
+/**
+ * Output Capture Example
+ * Demonstrates logging lines written straight to stdout and stderr to the log file.
+ */
+
+const ACL = require("../index");
+
+const logger = ACL.getInstance({
+	outputFilename: "output-capture.log",
+	captureOutput: { stdout: "info", stderr: "error" },
+});
+
+// Stands in for a native addon that writes to the process streams directly
+function nativeAddon() {
+	process.stdout.write("addon: initialized 4 ");
+	process.stdout.write("worker threads\n");
+	process.stderr.write("addon: device not found\n");
+}
+
+function main() {
+	// Shown once on the console, and in the file as "[INFO] stdout ..." and "[ERROR] stderr ..."
+	nativeAddon();
+
+	// ACL's own lines are written to the file once, not captured again
+	logger.info("Application started");
+
+	// Close the logger, which also restores the streams
+	logger.close();
+}
+
+main();
@@ -0,0 +1,35 @@
+/**
+ * Output Streams Example
+ * Demonstrates routing console output per level to stdout, stderr, or any writable stream.
+ */
+
+const { PassThrough } = require("stream");
+const ACL = require("../index");
+
+// By default, warn and above go to stderr and everything else to stdout
+const logger = new ACL();
+
+// Capture every level in a PassThrough stream, e.g. in tests
+const captured = new PassThrough();
+let capturedOutput = "";
+captured.on("data", (chunk) => (capturedOutput += chunk));
+
+const captureLogger = new ACL({
+	stream: captured,
+	streams: { fatal: process.stderr }, // Fatal messages still reach stderr
+});
+
+function main() {
+	logger.info("This line is written to stdout.");
+	logger.error("This line is written to stderr.");
+
+	captureLogger.info("This line is captured.");
+	captureLogger.warn("This warning is captured too.");
+	captureLogger.fatal("This fatal message is written to stderr.");
+
+	setImmediate(() => {
+		logger.info(`Captured output:\n${capturedOutput}`);
+	});
+}
+
+main();
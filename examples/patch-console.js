@@ -0,0 +1,38 @@
+/**
+ * Console Patching Example
+ * Demonstrates redirecting console calls of other code into ACL.
+ */
+
+const ACL = require("../index");
+
+// Create a named logger for output of code we don't control
+const logger = ACL.getInstance(
+	{
+		includeInlineCallerInfo: true,
+		inlineCallerInfoLevel: 3,
+		outputFilename: "patch-console.log",
+	},
+	"legacy"
+);
+
+// Stands in for a third-party module that logs with console
+function legacyModule() {
+	console.log("Loading legacy settings");
+	console.warn("Setting 'timeout' is deprecated");
+	console.error(new Error("Unable to read settings"));
+}
+
+function main() {
+	logger.patchConsole();
+
+	// Lines get timestamps, levels, and caller info pointing at legacyModule
+	legacyModule();
+
+	logger.restoreConsole();
+	console.log("The console is restored.");
+
+	// Close the logger
+	logger.close();
+}
+
+main();
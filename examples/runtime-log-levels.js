@@ -0,0 +1,43 @@
+/**
+ * Runtime Log Levels Example
+ * Demonstrates changing log levels at runtime with methods, signals, and a watched config file.
+ * Levels can also be set at startup, e.g. `ACL_LOG_LEVEL=warn node runtime-log-levels.js`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const ACL = require("../index");
+
+const configFile = path.join(__dirname, "runtime-log-levels.json");
+fs.writeFileSync(configFile, JSON.stringify({ logLevel: "warn" }));
+
+// Create an instance of ACL that reloads its levels from a JSON file and cycles them on SIGUSR2
+const logger = new ACL({
+	configFile,
+	configFileInterval: 100,
+	levelSignal: true,
+});
+
+async function main() {
+	logger.info("Hidden, the config file sets the level to warn");
+	logger.warn("Shown");
+
+	// Change the level from code
+	logger.setLogLevel("info");
+	logger.info("Shown after setLogLevel()");
+
+	// Each SIGUSR2 switches to the next more verbose level, e.g. `kill -USR2 <pid>`
+	process.kill(process.pid, "SIGUSR2");
+	await new Promise((resolve) => setTimeout(resolve, 50));
+	logger.info("Hidden, the signal wrapped around to errors only");
+
+	// Editing the config file changes the level again
+	fs.writeFileSync(configFile, JSON.stringify({ logLevel: 1 }));
+	await new Promise((resolve) => setTimeout(resolve, 500));
+	logger.info("Shown after the config file changed");
+
+	await logger.close();
+	fs.unlinkSync(configFile);
+}
+
+main();
@@ -0,0 +1,43 @@
+/**
+ * Scoped Logging Example
+ * Demonstrates holding the debug lines of a request and writing them only when it fails.
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL
+const logger = ACL.getInstance({
+	logLevel: 1,
+});
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function loadUser(userId) {
+	logger.debug("Querying user", userId);
+	await delay(10);
+	if (userId < 0) {
+		throw new Error("User not found");
+	}
+	logger.debug("User loaded", userId);
+}
+
+async function handleRequest(requestId, userId) {
+	// The debug lines are discarded when the request succeeds, and written in order when it throws
+	await logger
+		.scope(() => logger.runWithContext({ requestId }, () => loadUser(userId)))
+		.catch((err) => logger.error(`Request ${requestId} failed:`, err.message));
+}
+
+async function main() {
+	await Promise.all([handleRequest("f3a9", 42), handleRequest("b71c", -1)]);
+
+	// A scope can also be ended explicitly, e.g. when a response is finished
+	const scope = logger.scope();
+	scope.run(() => {
+		logger.debug("Rendering page");
+		logger.warn("Template cache is cold"); // Writes "Rendering page" first
+	});
+	scope.discard();
+}
+
+main();
@@ -0,0 +1,27 @@
+/**
+ * Source Maps Example
+ * Demonstrates resolving caller information of compiled code to the original sources.
+ *
+ * Compile your TypeScript or bundle with source maps (e.g. `tsc --sourceMap`) and
+ * create the logger in the compiled code. Caller info then shows the `.ts` file,
+ * line, column, and function name. Files without a source map are shown as is.
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL that resolves call sites through source maps
+const logger = ACL.getInstance({
+	sourceMaps: true,
+	includeInlineCallerInfo: true,
+	inlineCallerInfoLevel: 3,
+	includeCallerInfo: true,
+	callerInfoLevel: 4,
+});
+
+function main() {
+	logger.info("Inline caller info points to the original source.");
+	logger.error("So does the caller info block.");
+	logger.trace();
+}
+
+main();
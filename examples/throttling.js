@@ -0,0 +1,36 @@
+/**
+ * Throttling Example
+ * Demonstrates sampling, rate limiting, and collapsing duplicate log lines.
+ */
+
+const ACL = require("../index");
+
+// Create an instance of ACL that keeps the console readable during floods
+const logger = ACL.getInstance({
+	logLevel: 0,
+	sample: { debug: 0.1 }, // Keep about 10% of debug lines
+	rateLimit: { limit: 3, interval: 1000 }, // At most 3 lines per message each second
+	collapseDuplicates: true,
+	generateReport: true,
+});
+
+function main() {
+	for (let i = 0; i < 50; i++) {
+		logger.debug("Polling queue, attempt %d", i);
+	}
+
+	// Identical lines are collapsed into a single summary line
+	for (let i = 0; i < 3; i++) {
+		logger.error("Database connection refused");
+	}
+	logger.info("Retrying with a backup connection");
+
+	// Only the first 3 lines of this message are written
+	for (let i = 0; i < 20; i++) {
+		logger.warn("Request %d timed out", i);
+	}
+
+	logger.report();
+}
+
+main();
@@ -0,0 +1,35 @@
+/**
+ * Timestamps Example
+ * Demonstrates timestamp formats, time zones, and relative timestamps.
+ */
+
+const ACL = require("../index");
+
+// ISO-8601 timestamps in UTC
+const utcLogger = new ACL({
+	timestampFormat: "iso",
+	timestampTimezone: "UTC",
+});
+
+// Custom pattern in another time zone
+const tokyoLogger = new ACL({
+	timestampFormat: "ddd YYYY-MM-DD HH:mm:ss Z",
+	timestampTimezone: "Asia/Tokyo",
+});
+
+// Time since the previous line, like the `debug` package
+const deltaLogger = new ACL({
+	timestampFormat: "delta",
+});
+
+function main() {
+	utcLogger.info("Logged with an ISO-8601 UTC timestamp");
+	tokyoLogger.info("Logged with the time in Tokyo");
+
+	deltaLogger.info("Starting work");
+	setTimeout(() => {
+		deltaLogger.info("Work finished");
+	}, 150);
+}
+
+main();
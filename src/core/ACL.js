@@ -7,26 +7,144 @@
 
 const util = require("util");
 const path = require("path");
-const { COLORS } = require("../lib/constants");
-const { formatArgs, stripAnsiCodes } = require("../lib/formatUtils");
+const { Writable } = require("stream");
+const { EventEmitter } = require("events");
+const { COLORS, LOG_LEVELS, THEMES } = require("../lib/constants");
+const { detectColorLevel, toAnsiColor } = require("../lib/colorUtils");
+const {
+	applyFormatSpecifiers,
+	formatArgs,
+	formatContext,
+	indentLines,
+	stripAnsiCodes,
+} = require("../lib/formatUtils");
 const {
 	getTotalHeapSizeLimit,
 	getFormattedMemoryUsage,
+	getMemorySnapshot,
 } = require("../lib/memoryUtils");
-const { getCurrentTimestamp } = require("../lib/timestampUtils");
+const {
+	getCurrentTimestamp,
+	formatDuration,
+} = require("../lib/timestampUtils");
+const { toJsonValue, safeStringify } = require("../lib/jsonUtils");
+const { collectErrorFrames, removeKnownFrames } = require("../lib/errorUtils");
+const {
+	parseNamespacePatterns,
+	matchNamespace,
+	getNamespaceColor,
+} = require("../lib/namespaceUtils");
+const ConsoleTransport = require("../transports/ConsoleTransport");
 
 let FileLogger, FileLogHandler, TimerUtility, WorkerHandler, ReportGenerator;
+let FileTransport, WorkerTransport, LogThrottle;
+let AsyncLocalStorage, createRedactor, compileTemplate, fs;
+let resolveSourcePosition, OutputCapture, FlightRecorder, LogScope;
+
+// Extra frames captured for the logger's own frames, which are skipped; captures grow if these run out
+const LOGGER_FRAME_MARGIN = 8;
+// Frames shown in the caller info block, like the default `Error.stackTraceLimit`
+const CALLER_INFO_DEPTH = 10;
+// Formatted caller info entries kept per logger, keyed by call site
+const CALLER_CACHE_SIZE = 1000;
+// Longest wait in ms for the flight recorder dump to reach the file before a crashed process exits
+const CRASH_DUMP_TIMEOUT = 2000;
+
+// console methods redirected by `patchConsole()`. Level methods are called with `true` as the condition.
+const CONSOLE_LEVEL_METHODS = ["debug", "log", "info", "warn", "error"];
+const CONSOLE_METHODS = [
+	"dir",
+	"trace",
+	"group",
+	"groupCollapsed",
+	"groupEnd",
+	"table",
+	"count",
+	"countReset",
+	"assert",
+];
+const CONSOLE_TIMER_METHODS = ["time", "timeEnd", "timeLog"];
+
+// Events of the file and worker subsystems and the logger itself, in addition to `log` and the level events
+const LIFECYCLE_EVENTS = ["rotate", "flush", "drop", "close"];
+
+// EventEmitter methods that change listeners. Child and namespaced loggers call them on the parent logger.
+const LISTENER_METHODS = [
+	"on",
+	"addListener",
+	"prependListener",
+	"once",
+	"prependOnceListener",
+	"off",
+	"removeListener",
+	"removeAllListeners",
+	"setMaxListeners",
+];
+
+// The active console patch: the logger, the original console methods, and the nesting of redirected calls
+let consolePatch = null;
+
+/**
+ * Wrap the function arguments of a console call in thunks, so they are printed like `console.log` does instead of called.
+ * @param {Array} args - The console call arguments.
+ * @returns {Array} - The arguments for a logging method.
+ */
+function keepFunctionArgs(args) {
+	return args.map((arg) => (typeof arg === "function" ? () => arg : arg));
+}
+
+/**
+ * Get the generated position of a call site, used as its cache key.
+ * @param {CallSite} frame - The V8 call site.
+ * @returns {string} - The file, line, and column.
+ */
+function getCallSiteKey(frame) {
+	return `${frame.getFileName()}:${frame.getLineNumber()}:${frame.getColumnNumber()}`;
+}
+
+/**
+ * Get the threshold of a custom level, ordered by severity between the thresholds of the built-in levels.
+ * Between two built-in levels the threshold is interpolated, e.g. 1.5 for a severity of 2.5 between `info` and `warn`.
+ * Below `debug` and above `fatal` it changes by 1 per severity step, e.g. 0 for a severity of -1.
+ * @param {number} severity - The severity of the custom level.
+ * @returns {number} - The threshold compared against `logLevel` and `outputFileLogLevel`.
+ */
+function getThresholdForSeverity(severity) {
+	const builtIns = Object.values(LOG_LEVELS); // Ordered by severity
+	const first = builtIns[0];
+	const last = builtIns[builtIns.length - 1];
+	if (severity <= first.severity) {
+		return first.threshold - (first.severity - severity);
+	}
+	if (severity >= last.severity) {
+		return last.threshold + (severity - last.severity);
+	}
+
+	const upperIndex = builtIns.findIndex(
+		(definition) => definition.severity > severity
+	);
+	const lower = builtIns[upperIndex - 1];
+	const upper = builtIns[upperIndex];
+	const position =
+		(severity - lower.severity) / (upper.severity - lower.severity);
+	return lower.threshold + position * (upper.threshold - lower.threshold);
+}
 
 /**
  * Class representing a logger with multiple features like console/file logging,
  * colored output, memory usage tracking, caller info, and more.
+ * Emits `log` and level events with each written record, and the `rotate`, `flush`, `drop`, and `close` events.
  */
-class ACL {
+class ACL extends EventEmitter {
 	/**
 	 * Creates an instance of the Advanced Console Logger.
 	 * @param {Object} config - Configuration options for the logger.
 	 * @param {string} config.mode - Logging mode ("regular", "async", "async-queue", or "worker").
 	 * @param {number} [config.logLevel=1] - Console log level (0 = debug, 5 = fatal).
+	 * @param {string} [config.namespace] - Namespace of the logger, e.g. "db:pool".
+	 * @param {string|Array<string>} [config.namespaces] - Namespace patterns with console levels, e.g. "db:*,-db:verbose,http=warn". Extended by the `ACL_DEBUG` environment variable.
+	 * @param {string} [config.configFile] - JSON file with `logLevel`, `outputFileLogLevel`, and `namespaces`, reloaded when it changes.
+	 * @param {boolean|string} [config.levelSignal=false] - Cycle the console log level on a signal, `true` for "SIGUSR2".
 	 * @param {boolean} [config.includeTimestamps=true] - Include timestamps in logs.
 	 * @param {boolean} [config.includeMemoryUsage=false] - Include memory usage info.
 	 * @param {number} [config.memoryUpdateInterval=1000] - Frequency of memory checks in ms
@@ -37,12 +155,28 @@ class ACL {
 	 * @param {boolean} [config.includeInlineCallerInfo=false] - Include inline caller info in logs.
 	 * @param {number} [config.inlineCallerInfoLevel=1] - Log level for inline caller info.
 	 * @param {boolean} [config.includeStackTrace=false] - Include stack trace for errors.
-	 * @param {string} [config.timestampFormat="HH:mm:ss.SSS"] - Timestamp format.
-	 * @param {Object} [config.color] - Custom colors for log levels.
+	 * @param {boolean} [config.sourceMaps=false] - Resolve caller info and traces to original sources through source maps.
+	 * @param {string} [config.timestampFormat="HH:mm:ss.SSS"] - Timestamp format, a preset ("iso", "epoch"), or a relative mode ("elapsed", "delta").
+	 * @param {string} [config.timestampTimezone] - "UTC" or an IANA time zone for timestamps. Defaults to local time.
+	 * @param {Object} [config.color] - Custom colors for log levels and output elements (escape codes, `COLORS` names, hex, or `rgb()`).
+	 * @param {string} [config.theme="dark"] - Built-in color theme ("dark", "light", or "high-contrast").
+	 * @param {number} [config.colorLevel] - Console color level (0 = none, 1 = 16, 2 = 256, 3 = truecolor). Detected by default.
+	 * @param {Writable} [config.stream] - Console output stream for all levels. Defaults to stdout, with warn and above on stderr.
+	 * @param {Object} [config.streams] - Console output streams keyed by level name, e.g. `{ info: process.stdout }`.
+	 * @param {Object} [config.levels] - Custom log levels, keyed by name, e.g. `{ trace: { severity: -1, color } }`.
+	 * @param {Object|Array} [config.redact] - Key paths and patterns to mask before output, see `createRedactor`.
 	 * @param {boolean} [config.extraSpace=false] - Adds extra space after each log message.
+	 * @param {string} [config.consoleTemplate] - Console line layout, e.g. `{timestamp} {level:5} {msg}`.
+	 * @param {string} [config.fileTemplate] - Text file line layout, using the same tokens as `consoleTemplate`.
+	 * @param {Object} [config.sample] - Fraction of lines to keep per level name, e.g. `{ debug: 0.1 }`.
+	 * @param {Object} [config.rateLimit] - Token bucket rate limit, e.g. `{ limit: 10, interval: 1000, by: "callSite" }`.
+	 * @param {boolean} [config.collapseDuplicates=false] - Collapse runs of identical lines into "last message repeated N times".
+	 * @param {boolean|Object} [config.captureOutput=false] - Send lines written straight to stdout and stderr to the file and custom transports. An object sets the level per stream, e.g. `{ stdout: "info", stderr: "error" }`, or `false` to skip a stream.
+	 * @param {boolean|Object} [config.flightRecorder=false] - Keep recent lines of every level in memory and dump them on `fatal()`, e.g. `{ maxEntries: 1000, maxBytes: 1048576 }`.
 	 * @param {boolean} [config.generateReport=false] - Generate a report of log usage.
 	 * @param {boolean} [config.terminateOnFatal=false] - Terminate the process on fatal error.
 	 * @param {string} [config.outputFilename=null] - File path for file logging.
+	 * @param {string} [config.outputFormat="text"] - File output format ("text" or "json" for one JSON object per line).
 	 * @param {number} [config.maxLogFileSizeMB=10] - Maximum size of log files in MB.
 	 * @param {number} [config.maxLogFiles=5] - Maximum number of retained log files.
 	 * @param {boolean} [config.outputFileBatchOutput=false] - Batch output to file.
@@ -50,6 +184,7 @@ class ACL {
 	 * @param {boolean} [config.enableTimers=false] - Enables timer functionality if set to true.
 	 */
 	constructor(config = {}) {
+		super();
 		this.mode = config.mode || "regular"; // Set default mode
 		this.enableExitHandlers = config.enableExitHandlers || false;
 		this.logLevel = typeof config.logLevel === "number" ? config.logLevel : 1;
@@ -62,19 +197,78 @@ class ACL {
 		this.includeInlineCallerInfo = !!config.includeInlineCallerInfo;
 		this.inlineCallerInfoLevel = config.inlineCallerInfoLevel ?? 1;
 		this.includeStackTrace = !!config.includeStackTrace;
+		this.sourceMaps = !!config.sourceMaps;
 		this.timestampFormat = config.timestampFormat || "HH:mm:ss.SSS";
-		this.color = {
-			debug: config.color?.debug || COLORS.CYAN,
-			log: config.color?.log || COLORS.GREEN,
-			info: config.color?.info || COLORS.LIGHT_GREEN,
-			warn: config.color?.warn || COLORS.YELLOW,
-			error: config.color?.error || COLORS.LIGHT_RED,
-			fatal: config.color?.fatal || COLORS.MAGENTA,
-			caller: config.color?.caller || COLORS.LIGHT_MAGENTA,
-			inlineCaller: COLORS.LIGHT_CYAN,
-			position: COLORS.CYAN,
-		};
+		this.timestampTimezone = config.timestampTimezone;
+		if (this.timestampTimezone) {
+			// Fail early on an unknown time zone
+			getCurrentTimestamp(
+				this.timestampFormat,
+				new Date(),
+				this.timestampTimezone
+			);
+		}
+		this.startTime = Date.now(); // Used by the "elapsed" timestamp mode
+		this.lastLogTime = null; // Used by the "delta" timestamp mode, kept on the root logger
+
+		this.stream = config.stream || null;
+		this.streams = config.streams || {};
+
+		// Resolve the theme and color overrides once for the most capable console stream.
+		// A detected level is also checked per stream, so colors are stripped from e.g. a redirected stderr.
+		this.colorLevelDetected = typeof config.colorLevel !== "number";
+		this.streamColorLevels = new Map(); // Detected color level by console stream, see `writeToConsole()`
+		this.colorLevel = this.colorLevelDetected
+			? Math.max(
+					...this._getConsoleStreams().map((stream) =>
+						this._getStreamColorLevel(stream)
+					)
+			  )
+			: config.colorLevel;
+		const theme = THEMES[config.theme || "dark"];
+		if (!theme) {
+			throw new Error(`ACL Color Error: Unknown theme '${config.theme}'.`);
+		}
+		this.color = { reset: this.colorLevel > 0 ? COLORS.RESET : "" };
+		for (const [key, value] of Object.entries({ ...theme, ...config.color })) {
+			this.color[key] = toAnsiColor(value, this.colorLevel);
+		}
 		this.space = config.extraSpace ? "\n" : "";
+
+		// Line layout templates are compiled once, the default layout is used when none is set
+		this.consoleTemplate = config.consoleTemplate
+			? this._compileTemplate(config.consoleTemplate, true)
+			: null;
+		this.fileTemplate = config.fileTemplate
+			? this._compileTemplate(config.fileTemplate, false)
+			: null;
+
+		// Lazy load the redactor only when redaction is configured
+		this.redactor = null;
+		if (config.redact) {
+			if (!createRedactor) {
+				({ createRedactor } = require("../lib/redactUtils"));
+			}
+			this.redactor = createRedactor(config.redact);
+		}
+
+		// Level registry, built-in levels first so they win lookups by severity
+		this.levels = {};
+		for (const [name, definition] of Object.entries(LOG_LEVELS)) {
+			this.levels[name] = { name, ...definition };
+		}
+		this.parent = null; // Set on child loggers, see `child()`
+
+		if (config.levels) {
+			for (const [name, options] of Object.entries(config.levels)) {
+				this.addLevel(name, {
+					...options,
+					color: config.color?.[name] || options.color,
+				});
+			}
+		}
+		this.namespaceName = config.namespace || null;
+		this._setNamespacePatterns(config.namespaces);
 		this.generateReport = !!config.generateReport;
 		this.terminateOnFatal = !!config.terminateOnFatal;
 
@@ -83,16 +277,14 @@ class ACL {
 		this.firstShown = false;
 		this.timers = {};
 		this.logEventCount = 0;
-		this.reportData = {
-			debug: 0,
-			log: 0,
-			info: 0,
-			warn: 0,
-			error: 0,
-			fatal: 0,
-		};
+		this.groupDepth = 0; // Nesting of `group()` calls, shared with child loggers
+		this.counters = new Map(); // `count()` values by label
 		this.memoryUsage = "";
 		this.cwd = process.cwd();
+		this.callerCache = new Map(); // Formatted caller info by call site, shared with child loggers
+		this.bindings = {}; // Context fields added to every log line
+		this.contextStorage = null; // AsyncLocalStorage, created by `runWithContext()`
+		this.scopeStorage = null; // AsyncLocalStorage of the active LogScope, created by `scope()`
 		this.currentFileName = __filename.replace(this.cwd, "").replace(/^\\/, "");
 
 		if (this.includeMemoryUsage) {
@@ -100,9 +292,14 @@ class ACL {
 			this.startMemoryUsageUpdates();
 		}
 
+		// Console output is the first built-in transport; file and worker transports are added below
+		this.transports = [new ConsoleTransport(this)];
+		this.middleware = []; // Functions added with `use()`, shared with child and namespaced loggers
+
 		// Lazy load FileLogger when file logging is needed
 		if (config.outputFilename) {
 			this.outputFilename = config.outputFilename;
+			this.outputFormat = config.outputFormat === "json" ? "json" : "text";
 			this.outputFileLogLevel =
 				typeof config.outputFileLogLevel === "number"
 					? config.outputFileLogLevel
@@ -121,12 +318,45 @@ class ACL {
 				default:
 					break;
 			}
+
+			this._initializeFileTransport();
+		}
+
+		this._initializeLevelControl(config);
+
+		// Lazy load the throttle only when sampling, rate limiting, or duplicate collapsing is configured
+		this.throttle = null;
+		if (config.sample || config.rateLimit || config.collapseDuplicates) {
+			if (!LogThrottle) {
+				LogThrottle = require("./LogThrottle");
+			}
+			this.throttle = new LogThrottle({
+				sample: config.sample,
+				rateLimit: config.rateLimit,
+				collapseDuplicates: config.collapseDuplicates,
+			});
 		}
 
 		if (this.generateReport) {
 			this._initializeReportGenerator();
 		}
 
+		// Lazy load the flight recorder only when it is configured
+		this.flightRecorder = null;
+		if (config.flightRecorder) {
+			if (!FlightRecorder) {
+				FlightRecorder = require("./FlightRecorder");
+			}
+			this.flightRecorder = new FlightRecorder(
+				typeof config.flightRecorder === "object" ? config.flightRecorder : {}
+			);
+		}
+
+		this.outputCapture = null;
+		if (config.captureOutput) {
+			this._initializeOutputCapture(config.captureOutput);
+		}
+
 		// Lazy initialization for timers
 		this.enableTimers = !!config.enableTimers;
 		this.timers = null;
@@ -174,11 +404,87 @@ class ACL {
 		});
 	}
 
+	/**
+	 * Start capturing lines written straight to stdout and stderr.
+	 * @private
+	 * @param {boolean|Object} captureOutput - `true`, or the level name per stream.
+	 * @throws {Error} Throws an error if a level is not registered.
+	 */
+	_initializeOutputCapture(captureOutput) {
+		const levels = {
+			stdout: "log",
+			stderr: "warn",
+			...(typeof captureOutput === "object" ? captureOutput : {}),
+		};
+
+		const streams = {};
+		for (const name of ["stdout", "stderr"]) {
+			if (!levels[name]) continue;
+			if (!this.levels[levels[name]]) {
+				throw new Error(
+					`ACL Level Error: Unknown level '${levels[name]}' in captureOutput.${name}.`
+				);
+			}
+			streams[name] = process[name];
+		}
+
+		if (!OutputCapture) {
+			OutputCapture = require("./OutputCapture"); // Lazy load the OutputCapture class
+		}
+		this.outputCapture = new OutputCapture(streams, (name, line) =>
+			this._logCapturedLine(levels[name], name, line)
+		);
+		this.outputCapture.start();
+	}
+
+	/**
+	 * Write a captured stdout or stderr line to every transport except the console, which already shows it.
+	 * The record is tagged with the stream name in place of the namespace.
+	 * @private
+	 * @param {string} levelName - The level name configured for the stream.
+	 * @param {string} streamName - "stdout" or "stderr".
+	 * @param {string} line - The captured line.
+	 */
+	_logCapturedLine(levelName, streamName, line) {
+		if (this.isClosed) return;
+
+		const definition = this.levels[levelName];
+		let record = this.createLogRecord(
+			this.color[levelName],
+			true,
+			definition.threshold,
+			levelName,
+			[stripAnsiCodes(line)]
+		);
+		record.namespace = streamName;
+		if (this.flightRecorder) this._recordRecent(record);
+
+		const prepared = this._prepareRecord(
+			record,
+			this._getTransportsForRecord(record)
+		);
+		if (!prepared) return;
+		record = prepared.record;
+
+		const transports = prepared.transports.filter(
+			(transport) => transport.name !== "console"
+		);
+		if (transports.length === 0) return;
+
+		// The stack points into stream internals, so captured lines have no caller info
+		this.formatLogRecord(record, false, () => []);
+		this._writeToTransports(transports, record);
+	}
+
 	_initializeReportGenerator() {
 		if (!ReportGenerator) {
 			ReportGenerator = require("./ReportGenerator");
 		}
-		this.reportGenerator = this.generateReport ? new ReportGenerator() : null;
+		this.reportGenerator = this.generateReport
+			? new ReportGenerator(Object.keys(this.levels), {
+					includeSuppressed: !!this.throttle,
+			  })
+			: null;
 	}
 
 	/**
@@ -209,15 +515,40 @@ class ACL {
 			(errorMessage) => this.error(true, errorMessage)
 		);
 
+		this.fileLogger.on("rotate", (info) => this._emitEvent("rotate", info));
+		this.fileLogHandler.on("flush", (info) => this._emitEvent("flush", info));
+
 		// Adjust logging methods for async and queue modes
 		if (this.mode === "async" || this.mode === "async-queue") {
 			this.aliasSyncToAsyncMethods();
 		}
 	}
 
-	logWithFileLogger(message) {
-		if (this.fileLogHandler) {
-			this.fileLogHandler.log(message);
+	/**
+	 * Adds the built-in file transport, or the worker transport in worker mode.
+	 */
+	_initializeFileTransport() {
+		if (this.mode === "worker") {
+			if (!WorkerTransport) {
+				WorkerTransport = require("../transports/WorkerTransport"); // Lazy load the WorkerTransport class
+			}
+			this.transports.push(new WorkerTransport(this));
+		} else {
+			if (!FileTransport) {
+				FileTransport = require("../transports/FileTransport"); // Lazy load the FileTransport class
+			}
+			this.transports.push(new FileTransport(this));
+		}
+	}
+
+	/**
+	 * Log messages using the FileLogHandler.
+	 * @param {string} message - The formatted log line.
+	 * @param {LogRecord} [record] - The log record, passed to `drop` listeners if the file is already closed.
+	 */
+	logWithFileLogger(message, record) {
+		if (!this.fileLogHandler || !this.fileLogHandler.log(message)) {
+			this._emitEvent("drop", { reason: "closed", record });
 		}
 	}
 
@@ -230,6 +561,11 @@ class ACL {
 			WorkerHandler = require("../handlers/WorkerHandler"); // Lazy load the WorkerHandler class
 		}
 
+		// Streams cannot be cloned into the worker, which only writes the log file
+		const workerConfig = { ...config };
+		delete workerConfig.stream;
+		delete workerConfig.streams;
+
 		// Ensure the config object is complete and has all necessary fields
 		const completeConfig = {
 			outputFilename: config.outputFilename || "default.log",
@@ -237,21 +573,26 @@ class ACL {
 			maxLogFiles: config.maxLogFiles || 3,
 			includeTimestamps: config.includeTimestamps !== false,
 			writeHeader: false,
-			...config, // Include any other properties
+			...workerConfig, // Include any other properties
 		};
 
 		// Initialize the worker with the complete configuration
 		this.workerHandler = new WorkerHandler(completeConfig);
+		this.workerHandler.on("rotate", (info) => this._emitEvent("rotate", info));
+		this.workerHandler.on("flush", (info) => this._emitEvent("flush", info));
 		this.workerHandler._initializeWorker();
 	}
 
 	/**
 	 * Log messages using worker threads.
 	 * @param {string} message - The log message to send to the worker.
+	 * @param {LogRecord} [record] - The log record, passed to `drop` listeners if the worker is already closed.
 	 */
-	logWithWorker(message) {
+	logWithWorker(message, record) {
 		if (this.workerHandler) {
-			this.workerHandler.logToWorker(message);
+			if (!this.workerHandler.logToWorker(message)) {
+				this._emitEvent("drop", { reason: "closed", record });
+			}
 		} else {
 			console.error("Worker not _initialized. Cannot log message.");
 		}
@@ -313,8 +654,36 @@ class ACL {
 			return;
 		}
 
+		// Child loggers share the parent's resources, only the parent closes them
+		if (this.parent) {
+			return;
+		}
+
+		// Print a pending "last message repeated" line before shutting down
+		if (this.throttle) {
+			const repeated = this.throttle.takeRepeated();
+			if (repeated) {
+				this._writeRepeatSummary(repeated);
+			}
+		}
+
 		// Mark the logger as closing to prevent new logs from being processed
 		this.isClosing = true;
+		this.restoreConsole();
+
+		// Write pending partial lines before the file logs are flushed
+		if (this.outputCapture) {
+			this.outputCapture.stop();
+			this.outputCapture = null;
+		}
+
+		// Stop runtime level changes
+		if (this._onLevelSignal) {
+			process.removeListener(this._levelSignal, this._onLevelSignal);
+		}
+		if (this._onConfigFileChange) {
+			fs.unwatchFile(this.configFile, this._onConfigFileChange);
+		}
 
 		try {
 			if (this.includeMemoryUsage) {
@@ -334,7 +703,15 @@ class ACL {
 				await this.workerHandler.closeWorker(); // Ensure worker cleanup
 			}
 
+			// Close any custom transports that hold resources
+			for (const transport of this.transports) {
+				if (typeof transport.close === "function") {
+					await transport.close();
+				}
+			}
+
 			this.isClosed = true; // Mark as closed once all operations complete
+			this._emitEvent("close");
 		} catch (err) {
 			console.error(`ACL: Error during close operation: ${err.message}`);
 		} finally {
@@ -356,6 +733,16 @@ class ACL {
 
 		process.on("uncaughtException", (err) => {
 			console.error(`Uncaught Exception: ${err.message}`);
+			// Show what led up to the crash, and let the file handler or worker write it before exiting
+			if (this.flightRecorder) {
+				this.dumpRecent();
+				const timer = setTimeout(() => process.exit(1), CRASH_DUMP_TIMEOUT);
+				this.close().finally(() => {
+					clearTimeout(timer);
+					process.exit(1);
+				});
+				return;
+			}
 			this.close();
 			process.exit(1); // Exit with failure
 		});
@@ -368,188 +755,1144 @@ class ACL {
 	}
 
 	/**
-	 * Alias synchronous methods to their asynchronous counterparts if `useAsyncLogging` is enabled.
+	 * Apply log levels from the config file and the environment, and set up runtime level changes.
+	 * Precedence at startup: `configFile`, then `ACL_LOG_LEVEL` and `ACL_FILE_LOG_LEVEL`.
+	 * @param {Object} config - Configuration options for the logger.
+	 * @private
 	 */
-	aliasSyncToAsyncMethods() {
-		this.debug = this.debugAsync;
-		this.log = this.logAsync;
-		this.info = this.infoAsync;
-		this.warn = this.warnAsync;
-		this.error = this.errorAsync;
-		this.fatal = this.fatalAsync;
+	_initializeLevelControl(config) {
+		if (config.configFile) {
+			if (!fs) {
+				fs = require("fs"); // Lazy load fs for the config file watcher
+			}
+			this.configFile = path.resolve(config.configFile);
+			this._reloadConfigFile();
+
+			// Poll the file so editors that replace it on save are handled, without keeping the process alive
+			this._onConfigFileChange = () => this._reloadConfigFile();
+			fs.watchFile(
+				this.configFile,
+				{ interval: config.configFileInterval || 1000 },
+				this._onConfigFileChange
+			).unref();
+		}
+
+		// An unknown level in the environment is reported like a bad config file, and the configured level is kept
+		const envLevels = {
+			ACL_LOG_LEVEL: (level) => this.setLogLevel(level),
+			ACL_FILE_LOG_LEVEL: (level) => this.setFileLogLevel(level),
+		};
+		for (const [name, setLevel] of Object.entries(envLevels)) {
+			if (!process.env[name]) continue;
+			try {
+				setLevel(process.env[name]);
+			} catch (err) {
+				console.error(`ACL: Ignoring ${name}: ${err.message}`);
+			}
+		}
+
+		if (config.levelSignal) {
+			this._levelSignal =
+				config.levelSignal === true ? "SIGUSR2" : config.levelSignal;
+			this._onLevelSignal = () => this._cycleLogLevel();
+			process.on(this._levelSignal, this._onLevelSignal);
+		}
 	}
 
 	/**
-	 * Retrieves the singleton instance of the Log.
-	 * If the instance does not exist, it creates a new one with the provided configuration.
-	 * @param {Object} config - Configuration object.
-	 * @returns {Log} - The singleton instance of the Log.
+	 * Load `logLevel`, `outputFileLogLevel`, and `namespaces` from the config file.
+	 * A missing or invalid file keeps the current settings.
+	 * @private
 	 */
-	static getInstance(config, name = "default") {
-		if (!ACL.instance) {
-			ACL.instance = {};
-		}
-
-		if (!ACL.instance[name]) {
-			ACL.instance[name] = new ACL(config);
+	_reloadConfigFile() {
+		try {
+			const settings = JSON.parse(fs.readFileSync(this.configFile, "utf8"));
+			if (settings.logLevel !== undefined) {
+				this.setLogLevel(settings.logLevel);
+			}
+			if (settings.outputFileLogLevel !== undefined) {
+				this.setFileLogLevel(settings.outputFileLogLevel);
+			}
+			if (settings.namespaces !== undefined) {
+				this._setNamespacePatterns(settings.namespaces);
+			}
+		} catch (err) {
+			// The file may be missing or half written while it is being saved
+			if (err.code !== "ENOENT") {
+				console.error(
+					`ACL: Unable to load config file '${this.configFile}': ${err.message}`
+				);
+			}
 		}
-		return ACL.instance[name];
 	}
 
 	/**
-	 * Retrieve caller information (file name, function name, line number, and column number).
-	 * @returns {string} - Formatted caller information with indentation showing call hierarchy.
+	 * Switch to the next more verbose console log level, wrapping around to the least verbose one.
+	 * @private
 	 */
-	getCallerInfo(displayMode = 1) {
-		// Save the original prepareStackTrace function to restore later
-		const originalPrepareStackTrace = Error.prepareStackTrace;
+	_cycleLogLevel() {
+		const thresholds = [
+			...new Set(Object.values(this.levels).map((level) => level.threshold)),
+		].sort((a, b) => b - a);
+		const next =
+			thresholds.find((threshold) => threshold < this.logLevel) ??
+			thresholds[0];
+
+		this.setLogLevel(next);
+		this._runInternal(() =>
+			this.writeToConsole("warn", `ACL: Console log level set to ${next}\n`)
+		);
+	}
 
-		// Override prepareStackTrace to get the stack as an array of call sites
-		Error.prepareStackTrace = (err, stack) => stack;
+	/**
+	 * Resolve a log level given as a number, a numeric string, or a level name.
+	 * Level names resolve to the level's threshold, so "warn" shows warn and above.
+	 * @param {number|string} value - The log level.
+	 * @param {string} source - Where the value came from, used in the error message.
+	 * @returns {number} - The numeric log level.
+	 * @throws {Error} Throws an error if the level is unknown.
+	 * @private
+	 */
+	_resolveLogLevel(value, source) {
+		if (typeof value === "number") return value;
 
-		// Create a new error to capture the stack trace
-		const err = new Error();
+		const text = String(value).trim();
+		if (/^-?\d+$/.test(text)) return Number(text);
 
-		// Get the stack trace
-		const stack = err.stack;
+		const definition = this.levels[text.toLowerCase()];
+		if (!definition) {
+			throw new Error(
+				`ACL Level Error: Unknown level '${value}' in ${source}.`
+			);
+		}
+		return definition.threshold;
+	}
 
-		// Restore the original prepareStackTrace
-		Error.prepareStackTrace = originalPrepareStackTrace;
+	/**
+	 * Change the console log level at runtime. Child and namespaced loggers follow the change.
+	 * @param {number|string} level - The log level, as a number or a level name such as "warn".
+	 * @returns {ACL} - The logger, for chaining.
+	 */
+	setLogLevel(level) {
+		const root = this._getRootLogger();
+		root.logLevel = root._resolveLogLevel(level, "setLogLevel()");
+		return this;
+	}
 
-		// Skip internal files (use a set to list them)
-		const internalFiles = new Set([__filename]);
+	/**
+	 * Change the file log level at runtime. Child and namespaced loggers follow the change.
+	 * @param {number|string} level - The log level, as a number or a level name such as "warn".
+	 * @returns {ACL} - The logger, for chaining.
+	 */
+	setFileLogLevel(level) {
+		const root = this._getRootLogger();
+		root.outputFileLogLevel = root._resolveLogLevel(level, "setFileLogLevel()");
+		return this;
+	}
 
-		let shouldLog = false;
-		const formattedStack = [];
-		let visibleFrameCount = 0;
+	/**
+	 * Set the namespace patterns, followed by the `ACL_DEBUG` patterns so they can be overridden per run.
+	 * @param {string|Array<string>} spec - The namespace patterns.
+	 * @throws {Error} Throws an error if a pattern uses an unknown level.
+	 * @private
+	 */
+	_setNamespacePatterns(spec) {
+		const root = this._getRootLogger();
+		const patterns = [
+			...parseNamespacePatterns(spec),
+			...parseNamespacePatterns(process.env.ACL_DEBUG),
+		];
+		for (const pattern of patterns) {
+			// A bare pattern enables every level
+			pattern.level =
+				pattern.level === null
+					? 0
+					: root._resolveLogLevel(
+							pattern.level,
+							`namespace pattern '${pattern.source}'`
+					  );
+		}
 
-		for (const frame of stack) {
-			const callerFile = frame.getFileName();
-			const callerFunction = frame.getFunctionName() || "anonymous function";
-			const lineNumber = frame.getLineNumber();
-			const columnNumber = frame.getColumnNumber();
+		root.namespacePatterns = patterns;
+		root.namespaceLevels = new Map(); // Cache of matched console levels by namespace
+	}
 
-			// Skip frames that do not have file names (e.g., internal calls)
-			if (!callerFile) continue;
+	/**
+	 * Alias synchronous methods to their asynchronous counterparts if `useAsyncLogging` is enabled.
+	 */
+	aliasSyncToAsyncMethods() {
+		for (const name of Object.keys(this.levels)) {
+			this[name] = this[`${name}Async`];
+		}
+	}
 
-			// Skip internal files from the logger itself
-			if (internalFiles.has(callerFile)) continue;
+	/**
+	 * Register a custom log level and generate its `name()` and `nameAsync()` methods.
+	 * The level gets its own file label, report row, and color, and otherwise behaves like the built-in levels.
+	 * @param {string} name - The level name, e.g. "trace", "notice", "http", or "audit".
+	 * @param {Object} options - Level options.
+	 * @param {number} options.severity - Level reported in output and compared by transports (0 = debug, 5 = fatal). Fractions and values outside the range are allowed.
+	 * @param {string} [options.color] - Console color for the level.
+	 * @returns {ACL} - The logger instance, for chaining.
+	 */
+	addLevel(name, { severity, color } = {}) {
+		const root = this._getRootLogger();
 
-			// Set `shouldLog` when we're out of the internal logger files
-			if (!shouldLog) shouldLog = true;
+		if (typeof name !== "string" || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+			throw new Error(`ACL Level Error: '${name}' is not a valid level name.`);
+		}
+		// A "trace" level replaces the `trace()` stack trace utility, other methods are protected
+		const isReplaceable = name === "trace" && !root.levels.trace;
+		if (
+			root.levels[name] ||
+			(name in root && !isReplaceable) ||
+			`${name}Async` in root
+		) {
+			throw new Error(
+				`ACL Level Error: '${name}' is already defined on the logger.`
+			);
+		}
+		// Level events share the names of the logger's events
+		if (LIFECYCLE_EVENTS.includes(name)) {
+			throw new Error(
+				`ACL Level Error: '${name}' is the name of a logger event.`
+			);
+		}
+		if (typeof severity !== "number" || Number.isNaN(severity)) {
+			throw new Error(
+				`ACL Level Error: Level '${name}' requires a numeric 'severity'.`
+			);
+		}
 
-			// If still within internal files, skip this frame
-			if (!shouldLog) continue;
+		// A threshold of its own, so the level can be enabled with e.g. `setLogLevel("notice")`
+		const threshold = getThresholdForSeverity(severity);
 
-			// Increment visible frame count for indentation
-			visibleFrameCount++;
+		root.levels[name] = { name, severity, threshold, color };
+		root.color[name] = toAnsiColor(color || COLORS.WHITE, root.colorLevel);
 
-			// Shorten the file path by removing the current working directory
-			const relativeFilePath = path.relative(this.cwd, callerFile);
-
-			// Format the current stack frame based on display mode
-			let formattedFrame;
-			if (displayMode === 1) {
-				// Regular display mode
-				const indentation = "    ".repeat(visibleFrameCount);
-				formattedFrame = `${indentation}File: ${relativeFilePath}\n${indentation}Function: ${callerFunction}\n${indentation}Line: ${lineNumber}, Column: ${columnNumber}\n`;
-			} else {
-				// Compressed display mode
-				formattedFrame = `    ${callerFunction} (${relativeFilePath}:${lineNumber}:${columnNumber})`;
-			}
+		root[name] = function (condition = true, ...args) {
+			this._logAtLevel(name, condition, args);
+		};
+		root[`${name}Async`] = async function (condition = true, ...args) {
+			await this._logAtLevelAsync(name, condition, args);
+		};
+		if (root.debug === root.debugAsync) {
+			root[name] = root[`${name}Async`];
+		}
 
-			// Add formatted frame to the stack
-			formattedStack.push(formattedFrame);
+		if (root.reportGenerator) {
+			root.reportGenerator.addLevel(name);
 		}
 
-		// Join the formatted stack frames into a single string
-		return `\n\n${formattedStack.join("\n")}\n`;
+		return this;
 	}
 
 	/**
-	 * Retrieve inline caller information based on the specified detail level.
-	 * This method is now directly a part of the ACL class.
-	 * @param {number} level - The detail level for the inline caller information.
-	 * @returns {string} - Formatted inline caller information.
+	 * Get the logger that owns the shared state of a child logger.
+	 * @private
+	 * @returns {ACL} - The root logger.
 	 */
-	getInlineCallerInfo(level = 1) {
-		// Save the original prepareStackTrace function to restore later
-		const originalPrepareStackTrace = Error.prepareStackTrace;
+	_getRootLogger() {
+		let root = this;
+		while (root.parent) {
+			root = root.parent;
+		}
+		return root;
+	}
 
-		// Override prepareStackTrace to get the stack as an array of call sites
-		Error.prepareStackTrace = (err, stack) => stack;
+	/**
+	 * Retrieves the singleton instance of the Log.
+	 * If the instance does not exist, it creates a new one with the provided configuration.
+	 * @param {Object} config - Configuration object.
+	 * @param {string} [name="default"] - Instance name. Other names than "default" are also used as the namespace.
+	 * @returns {Log} - The singleton instance of the Log.
+	 */
+	static getInstance(config, name = "default") {
+		if (!ACL.instance) {
+			ACL.instance = {};
+		}
 
-		// Create a new error to capture the stack trace
-		const err = new Error();
+		if (!ACL.instance[name]) {
+			// Named instances are namespaced, e.g. `getInstance(config, "db:pool")`
+			ACL.instance[name] = new ACL(
+				name === "default" ? config : { namespace: name, ...config }
+			);
+		}
+		return ACL.instance[name];
+	}
 
-		// Get the stack trace
-		const stack = err.stack;
+	/**
+	 * Create a child logger with bound context fields.
+	 * The child shares the parent's configuration, transports, file handles, timers and report counters,
+	 * and adds its fields to every console and file line. Fields of nested children are merged.
+	 * @param {Object} [fields={}] - Context fields, e.g. `{ requestId }`.
+	 * @returns {ACL} - The child logger.
+	 */
+	child(fields = {}) {
+		const child = Object.create(this);
+		child.parent = this;
+		child.bindings = { ...this.bindings, ...fields };
+		return child;
+	}
 
-		// Restore the original prepareStackTrace
-		Error.prepareStackTrace = originalPrepareStackTrace;
+	/**
+	 * Create a namespaced logger, e.g. `logger.namespace("db")`. Namespaces nest with `:`, so
+	 * `logger.namespace("db").namespace("pool")` logs as "db:pool". Like a child logger, it shares the
+	 * parent's configuration, transports, and context fields.
+	 * @param {string} name - The namespace.
+	 * @returns {ACL} - The namespaced logger.
+	 */
+	namespace(name) {
+		const logger = Object.create(this);
+		logger.parent = this;
+		logger.namespaceName = this.namespaceName
+			? `${this.namespaceName}:${name}`
+			: name;
+		return logger;
+	}
 
-		const internalFiles = [__filename]; // Use __filename to refer to the current class file
+	/**
+	 * Run a function with context fields that are added to every line logged within its async call tree.
+	 * Nested calls merge their fields with the active context.
+	 * @param {Object} fields - Context fields, e.g. `{ requestId }`.
+	 * @param {Function} fn - The function to run.
+	 * @returns {any} - The return value of `fn`.
+	 */
+	runWithContext(fields, fn) {
+		// The storage lives on the root logger so children and the parent share it
+		const root = this._getRootLogger();
 
-		for (const frame of stack) {
-			const callerFile = frame.getFileName();
+		if (!root.contextStorage) {
+			if (!AsyncLocalStorage) {
+				({ AsyncLocalStorage } = require("async_hooks")); // Lazy load AsyncLocalStorage
+			}
+			root.contextStorage = new AsyncLocalStorage();
+		}
 
-			// Skip frames that do not have file names (e.g., internal calls)
-			if (!callerFile) continue;
+		const activeContext = root.contextStorage.getStore();
+		return root.contextStorage.run({ ...activeContext, ...fields }, fn);
+	}
 
-			// Check if this file is one of the internal files and skip it if so
-			if (
-				internalFiles.some((internalFile) => callerFile.includes(internalFile))
-			)
-				continue;
+	/**
+	 * Create a scope that holds the lines below `warn` logged within it, e.g. for one request.
+	 * A `warn` or higher line in the scope writes out the held lines in order, and later lines are written directly.
+	 * Without `fn`, the scope is returned, to be started with `scope.run()` and ended with `scope.commit()` or `scope.discard()`.
+	 * With `fn`, it is run in the scope, which is discarded when `fn` returns and committed when it throws or rejects.
+	 * @param {Function} [fn] - The function to run in the scope. It receives the scope.
+	 * @returns {LogScope|any} - The scope, or the return value of `fn`.
+	 */
+	scope(fn) {
+		if (!LogScope) {
+			LogScope = require("./LogScope"); // Lazy load the LogScope class
+		}
+		const scope = new LogScope(this, this._getActiveScope());
+		if (typeof fn !== "function") {
+			return scope;
+		}
 
-			// We found the first external frame, get the caller info
-			const callerFunction = frame.getFunctionName() || "anonymous function";
-			const lineNumber = frame.getLineNumber();
-			const columnNumber = frame.getColumnNumber();
+		let result;
+		try {
+			result = scope.run(() => fn(scope));
+		} catch (err) {
+			scope.commit();
+			throw err;
+		}
 
-			// Shorten the file path by removing the current working directory
-			const relativeFilePath = require("path").relative(
-				process.cwd(),
-				callerFile
+		if (result && typeof result.then === "function") {
+			return result.then(
+				(value) => {
+					scope.discard();
+					return value;
+				},
+				(err) => {
+					scope.commit();
+					throw err;
+				}
 			);
+		}
+		scope.discard();
+		return result;
+	}
 
-			// Format based on the specified level
-			switch (level) {
-				case 1:
-					return `${relativeFilePath}:`;
-				case 2:
-					return `${relativeFilePath} ${this.color.position}(${lineNumber}, ${columnNumber})${this.color.inlineCaller}:`;
-				case 3:
-					return `${relativeFilePath} ${this.color.position}(${lineNumber}, ${columnNumber})${this.color.inlineCaller} > ${callerFunction}:`;
-				default:
-					return "";
+	/**
+	 * Get the storage of the active scope, shared by children and the parent.
+	 * @private
+	 * @returns {AsyncLocalStorage} - The scope storage of the root logger.
+	 */
+	_getScopeStorage() {
+		const root = this._getRootLogger();
+		if (!root.scopeStorage) {
+			if (!AsyncLocalStorage) {
+				({ AsyncLocalStorage } = require("async_hooks")); // Lazy load AsyncLocalStorage
 			}
+			root.scopeStorage = new AsyncLocalStorage();
 		}
+		return root.scopeStorage;
+	}
 
-		// If no valid external frame is found, return an empty string
-		return "";
+	/**
+	 * Get the innermost scope of the current async call tree that is still open.
+	 * @private
+	 * @returns {LogScope|null} - The open scope, or null.
+	 */
+	_getActiveScope() {
+		let scope = this.scopeStorage ? this.scopeStorage.getStore() : null;
+		while (scope && scope.closed) {
+			scope = scope.parent;
+		}
+		return scope || null;
 	}
 
 	/**
-	 * Determine if a message should be logged to the console.
-	 * @param {boolean} condition - The condition for logging.
-	 * @param {number} level - The level of the log message.
-	 * @returns {boolean} - Whether to log to console.
+	 * Hold a formatted record in the active scope if it is below `warn`, or commit the scope otherwise.
+	 * @private
+	 * @param {LogRecord} record - The formatted log record.
+	 * @param {Array<Object>} transports - The transports that accept the record.
+	 * @returns {boolean} - True if the record is held and must not be written now.
 	 */
-	shouldLogToConsole(condition, level) {
-		if (typeof condition === "boolean" && !condition) {
-			return false;
+	_holdInScope(record, transports) {
+		const scope = this._getActiveScope();
+		if (!scope) return false;
+
+		if (record.threshold < this.levels.warn.threshold) {
+			scope.hold(record, transports);
+			return true;
 		}
-		return level >= this.logLevel;
+		scope.commit();
+		return false;
 	}
 
 	/**
-	 * Determine if a message should be logged to the file.
-	 * @param {boolean} condition - The condition for logging.
-	 * @param {number} level - The level of the log message.
-	 * @returns {boolean} - Whether to log to file.
+	 * Get the context fields to attach to a log record.
+	 * Fields bound with `child()` take precedence over fields from `runWithContext()`.
+	 * @private
+	 * @returns {Object} - A copy of the active and bound context fields.
 	 */
-	shouldLogToFile(condition, level) {
+	_getRecordContext() {
+		const activeContext = this.contextStorage
+			? this.contextStorage.getStore()
+			: undefined;
+		return { ...activeContext, ...this.bindings };
+	}
+
+	/**
+	 * Register a transport. Each transport receives every accepted log record.
+	 * @param {Object} transport - The transport to add.
+	 * @param {string} [transport.name] - Unique transport name, used by `removeTransport`.
+	 * @param {number} [transport.level=0] - Minimum log level (0 = debug, 5 = fatal).
+	 * @param {Function} [transport.format] - Formatter, receives the log record and returns the output. Defaults to the file format.
+	 * @param {Function} [transport.accepts] - Optional filter, receives the log record and returns a boolean. Replaces the `level` check.
+	 * @param {Function} transport.log - Receives the formatted output and the log record.
+	 * @param {Function} [transport.close] - Called (and awaited) when the logger is closed.
+	 * @returns {ACL} - The logger instance, for chaining.
+	 */
+	addTransport(transport) {
+		if (!transport || typeof transport.log !== "function") {
+			throw new Error(
+				"ACL Transport Error: A transport must implement a 'log(output, record)' method."
+			);
+		}
+
+		if (!transport.name) {
+			transport.name = `transport-${this.transports.length + 1}`;
+		}
+
+		if (this.transports.some((existing) => existing.name === transport.name)) {
+			throw new Error(
+				`ACL Transport Error: A transport named '${transport.name}' is already registered.`
+			);
+		}
+
+		this.transports.push(transport);
+		return this;
+	}
+
+	/**
+	 * Unregister a transport.
+	 * @param {string|Object} transport - The transport or its name (e.g. "console", "file", or "worker").
+	 * @returns {boolean} - Whether a transport was removed.
+	 */
+	removeTransport(transport) {
+		const index = this.transports.findIndex((existing) =>
+			typeof transport === "string"
+				? existing.name === transport
+				: existing === transport
+		);
+
+		if (index === -1) return false;
+
+		this.transports.splice(index, 1);
+		return true;
+	}
+
+	/**
+	 * Select the transports that accept a log record.
+	 * @private
+	 * @param {LogRecord} record - The log record.
+	 * @returns {Array<Object>} - The accepting transports.
+	 */
+	_getTransportsForRecord(record) {
+		return this.transports.filter((transport) => {
+			if (typeof transport.accepts === "function") {
+				return transport.accepts(record);
+			}
+			if (typeof record.condition === "boolean" && !record.condition) {
+				return false;
+			}
+			return record.level >= (transport.level || 0);
+		});
+	}
+
+	/**
+	 * Add a middleware function that receives each log record before it is formatted.
+	 * Middleware runs in the order it was added and is shared with child and namespaced loggers.
+	 * It can change the record, return a replacement record, or return `false` to drop the line.
+	 * @param {Function} fn - The middleware, called with the log record.
+	 * @returns {ACL} - The logger instance, for chaining.
+	 * @throws {Error} Throws an error if `fn` is not a function or is an async function.
+	 */
+	use(fn) {
+		if (typeof fn !== "function") {
+			throw new Error("ACL Middleware Error: Middleware must be a function.");
+		}
+		if (fn.constructor && fn.constructor.name === "AsyncFunction") {
+			throw new Error(
+				"ACL Middleware Error: Middleware must be synchronous, async functions are not supported."
+			);
+		}
+
+		this.middleware.push(fn);
+		return this;
+	}
+
+	/**
+	 * Call the thunk arguments of an accepted record and run the middleware on it.
+	 * A failing middleware is reported on stderr and skipped.
+	 * @private
+	 * @param {LogRecord} record - The log record.
+	 * @param {Array<Object>} transports - The transports that accept the record.
+	 * @returns {Object|null} - The resulting `record` and the `transports` that accept it, or null if it is dropped.
+	 */
+	_prepareRecord(record, transports) {
+		// Call thunk arguments, e.g. `() => JSON.stringify(payload)`, now that a transport accepts the line.
+		// The flight recorder has already called them when it recorded the line.
+		if (!this.flightRecorder) {
+			this._callThunks(record);
+		}
+
+		if (this.middleware.length === 0) return { record, transports };
+
+		for (const middleware of this.middleware) {
+			try {
+				// console calls and stream writes in middleware are not logged again
+				const result = this._runInternal(() => middleware(record));
+				if (result === false) {
+					this._emitEvent("drop", { reason: "middleware", record });
+					return null;
+				}
+				if (result && typeof result.then === "function") {
+					// The promise is ignored, keep its rejection from crashing the process
+					if (typeof result.catch === "function") result.catch(() => {});
+					throw new Error("middleware must not be async");
+				}
+				if (result && typeof result === "object") {
+					record = result;
+				}
+			} catch (err) {
+				this._runInternal(() =>
+					console.error(`ACL: Middleware failed: ${err && err.message}`)
+				);
+			}
+		}
+
+		// Middleware may have changed the level, namespace, or condition of the record
+		const accepting = this._getTransportsForRecord(record);
+		return accepting.length > 0 ? { record, transports: accepting } : null;
+	}
+
+	/**
+	 * Replace the thunk arguments of a record with their return values.
+	 * @private
+	 * @param {LogRecord} record - The log record.
+	 */
+	_callThunks(record) {
+		record.args = record.args.map((arg) =>
+			typeof arg === "function" ? arg() : arg
+		);
+	}
+
+	/**
+	 * Add a line to the flight recorder, whether or not a transport accepts it.
+	 * Thunk arguments are called, and the line is redacted like console and file output.
+	 * @private
+	 * @param {LogRecord} record - The log record.
+	 */
+	_recordRecent(record) {
+		if (typeof record.condition === "boolean" && !record.condition) return;
+
+		this._callThunks(record);
+		const args = this.redactor ? this.redactor(record.args) : record.args;
+		const [context] = this.redactor
+			? this.redactor([record.context])
+			: [record.context];
+
+		const message = formatArgs(applyFormatSpecifiers(args), "", false)
+			.join(" ")
+			.trim();
+		const contextText = formatContext(context);
+		this.flightRecorder.add({
+			time: record.time,
+			levelName: record.levelName,
+			text: `${record.namespace ? `${record.namespace} ` : ""}${
+				contextText ? `[${contextText}] ` : ""
+			}${stripAnsiCodes(message)}`,
+		});
+	}
+
+	/**
+	 * Write the lines kept by the flight recorder to the console stream of the `fatal` level (stderr by default)
+	 * and to the log file or worker, regardless of the log levels. The recorder is emptied afterwards.
+	 * @returns {ACL} - The logger instance, for chaining.
+	 * @throws {Error} Throws an error if the `flightRecorder` option is not enabled.
+	 */
+	dumpRecent() {
+		if (!this.flightRecorder) {
+			throw new Error(
+				"ACL Flight Recorder Error: The 'flightRecorder' config option must be enabled to use dumpRecent()."
+			);
+		}
+
+		const entries = this.flightRecorder.takeAll();
+		if (entries.length === 0) return this;
+
+		const lines = entries.map(
+			({ time, levelName, text }) =>
+				`${time.toISOString()} [${levelName.toUpperCase()}] ${text}`
+		);
+		const output = `----- Flight recorder: last ${entries.length} ${
+			entries.length === 1 ? "line" : "lines"
+		} -----\n${lines.join("\n")}\n----- End of flight recorder -----\n`;
+
+		this._runInternal(() => this.writeToConsole("fatal", output));
+
+		// Bypass the file log level, the recorded lines are written as a block
+		const fileOutput =
+			this.outputFormat === "json"
+				? entries
+						.map(
+							({ time, levelName, text }) =>
+								`${safeStringify({
+									time: time.toISOString(),
+									levelName,
+									msg: text,
+									flightRecorder: true,
+								})}\n`
+						)
+						.join("")
+				: output;
+		if (this.workerHandler) {
+			this.logWithWorker(fileOutput);
+		} else if (this.fileLogHandler) {
+			this.logWithFileLogger(fileOutput);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Format and write a log record to each transport.
+	 * A failing transport is reported on stderr and does not affect the others.
+	 * @private
+	 * @param {Array<Object>} transports - The transports to write to.
+	 * @param {LogRecord} record - The formatted log record.
+	 */
+	_writeToTransports(transports, record) {
+		this._runInternal(() => {
+			for (const transport of transports) {
+				const onError = (err) =>
+					console.error(
+						`ACL: Transport '${transport.name}' failed: ${err && err.message}`
+					);
+
+				try {
+					const output =
+						typeof transport.format === "function"
+							? transport.format(record)
+							: this.formatFileMessage(record);
+					const result = transport.log(output, record);
+					if (result && typeof result.catch === "function") {
+						result.catch(onError);
+					}
+				} catch (err) {
+					onError(err);
+				}
+			}
+		});
+
+		this._emitEvent("log", record);
+		// The `log` event already covers the level of the same name
+		if (record.levelName !== "log") {
+			this._emitEvent(record.levelName, record);
+		}
+	}
+
+	/**
+	 * Emit an event on the parent logger, which holds the listeners of child and namespaced loggers.
+	 * A failing listener is reported on stderr and does not affect logging.
+	 * @private
+	 * @param {string} event - The event name.
+	 * @param {...any} args - The event arguments.
+	 */
+	_emitEvent(event, ...args) {
+		const root = this._getRootLogger();
+		// Also keeps an unhandled `error` event from throwing
+		if (root.listenerCount(event) === 0) return;
+
+		this._runInternal(() => {
+			try {
+				root.emit(event, ...args);
+			} catch (err) {
+				console.error(
+					`ACL: Listener for '${event}' failed: ${err && err.message}`
+				);
+			}
+		});
+	}
+
+	/**
+	 * Run logger code whose output must not come back into the logger.
+	 * While it runs, `console` calls go to the original console if it is patched,
+	 * and stdout and stderr writes (e.g. by the console transport) are not captured.
+	 * @private
+	 * @param {Function} fn - The function to run.
+	 * @returns {any} - The function's return value.
+	 */
+	_runInternal(fn) {
+		const patch = consolePatch;
+		const capture = this.outputCapture;
+		if (patch) patch.busy++;
+		if (capture) capture.paused++;
+
+		try {
+			return fn();
+		} finally {
+			if (patch) patch.busy--;
+			if (capture) capture.paused--;
+		}
+	}
+
+	/**
+	 * Retrieve caller information (file name, function name, line number, and column number).
+	 * @param {number} [displayMode=1] - 1 for the indented block, 2 for compressed lines.
+	 * @param {Array<CallSite>} [stack] - Call sites captured for the log call. Captured here if not given.
+	 * @returns {string} - Formatted caller information with indentation showing call hierarchy.
+	 */
+	getCallerInfo(
+		displayMode = 1,
+		stack = this._captureCallSites(this.getCallerInfo, CALLER_INFO_DEPTH)
+	) {
+		const indices = this._getExternalFrameIndices(stack).slice(
+			0,
+			CALLER_INFO_DEPTH
+		);
+		if (indices.length === 0) return "";
+		const key = `block${displayMode}|${indices
+			.map((index) => getCallSiteKey(stack[index]))
+			.join("|")}`;
+
+		return this._getCachedCallerInfo(key, () => {
+			const formattedStack = indices.map((index, position) => {
+				const {
+					file: callerFile,
+					function: functionName,
+					line: lineNumber,
+					column: columnNumber,
+				} = this._resolveFrame(stack, index);
+				const callerFunction = functionName || "anonymous function";
+
+				// Shorten the file path by removing the current working directory
+				const relativeFilePath = path.relative(this.cwd, callerFile);
+
+				// Format the current stack frame based on display mode
+				if (displayMode === 1) {
+					// Regular display mode, indented by call depth
+					const indentation = "    ".repeat(position + 1);
+					return `${indentation}File: ${relativeFilePath}\n${indentation}Function: ${callerFunction}\n${indentation}Line: ${lineNumber}, Column: ${columnNumber}\n`;
+				}
+				// Compressed display mode
+				return `    ${callerFunction} (${relativeFilePath}:${lineNumber}:${columnNumber})`;
+			});
+
+			// Join the formatted stack frames into a single string
+			return `\n\n${formattedStack.join("\n")}\n`;
+		});
+	}
+
+	/**
+	 * Retrieve inline caller information based on the specified detail level.
+	 * This method is now directly a part of the ACL class.
+	 * @param {number} level - The detail level for the inline caller information.
+	 * @param {Array<CallSite>} [stack] - Call sites captured for the log call. Captured here if not given.
+	 * @returns {string} - Formatted inline caller information.
+	 */
+	getInlineCallerInfo(
+		level = 1,
+		stack = this._captureCallSites(this.getInlineCallerInfo, 1)
+	) {
+		// Use the first frame outside of the logger
+		const [index] = this._getExternalFrameIndices(stack);
+
+		// If no valid external frame is found, return an empty string
+		if (index === undefined) return "";
+
+		const key = `inline${level}|${getCallSiteKey(stack[index])}`;
+		return this._getCachedCallerInfo(key, () => {
+			const {
+				file,
+				function: functionName,
+				line: lineNumber,
+				column: columnNumber,
+			} = this._resolveFrame(stack, index);
+			const callerFunction = functionName || "anonymous function";
+
+			// Shorten the file path by removing the current working directory
+			const relativeFilePath = path.relative(process.cwd(), file);
+
+			// Format based on the specified level
+			switch (level) {
+				case 1:
+					return `${relativeFilePath}:`;
+				case 2:
+					return `${relativeFilePath} ${this.color.position}(${lineNumber}, ${columnNumber})${this.color.inlineCaller}:`;
+				case 3:
+					return `${relativeFilePath} ${this.color.position}(${lineNumber}, ${columnNumber})${this.color.inlineCaller} > ${callerFunction}:`;
+				default:
+					return "";
+			}
+		});
+	}
+
+	/**
+	 * Retrieve the first call site outside of the logger as structured data.
+	 * @param {Array<CallSite>} [stack] - Call sites captured for the log call. Captured here if not given.
+	 * @returns {Object|null} - The caller's file, function, line and column, or null if not found.
+	 */
+	getCallerFrame(stack = this._captureCallSites(this.getCallerFrame, 1)) {
+		const [index] = this._getExternalFrameIndices(stack);
+		if (index === undefined) return null;
+
+		const frame = this._getCachedCallerInfo(
+			`frame|${getCallSiteKey(stack[index])}`,
+			() => {
+				const resolved = this._resolveFrame(stack, index);
+				resolved.file = path.relative(this.cwd, resolved.file);
+				resolved.function = resolved.function || "anonymous function";
+				return resolved;
+			}
+		);
+		// Copy the cached frame so records can't change it
+		return { ...frame };
+	}
+
+	/**
+	 * Capture the current stack as V8 call sites.
+	 * Frames from `boundary` upwards are left out. Enough frames are collected for `depth` frames outside of the logger,
+	 * so a capture that is filled by the logger's own frames is repeated with a higher limit.
+	 * @private
+	 * @param {Function} boundary - The outermost logger function on the stack.
+	 * @param {number} depth - The number of frames outside of the logger to capture.
+	 * @returns {Array<CallSite>} - The call sites.
+	 */
+	_captureCallSites(boundary, depth) {
+		const originalPrepareStackTrace = Error.prepareStackTrace;
+		const originalStackTraceLimit = Error.stackTraceLimit;
+		Error.prepareStackTrace = (err, stack) => stack;
+
+		const holder = {};
+		let limit = depth + LOGGER_FRAME_MARGIN;
+		let stack, truncated;
+		do {
+			Error.stackTraceLimit = limit;
+			Error.captureStackTrace(holder, boundary);
+			stack = holder.stack;
+
+			// The boundary is not on the stack when a method is called directly, so start here instead
+			if (stack.length === 0) {
+				Error.captureStackTrace(holder, this._captureCallSites);
+				stack = holder.stack;
+			}
+			truncated = stack.length === limit;
+			limit *= 2;
+		} while (truncated && this._getExternalFrameIndices(stack).length < depth);
+
+		Error.prepareStackTrace = originalPrepareStackTrace;
+		Error.stackTraceLimit = originalStackTraceLimit;
+		return stack;
+	}
+
+	/**
+	 * Capture a stack trace that starts at the caller of the log method.
+	 * The logger's own frames are cut from the top, and the capture is repeated with a higher limit if they fill it.
+	 * @private
+	 * @returns {string} - The stack trace, with an "Error" header line.
+	 */
+	_captureStackTrace() {
+		const originalStackTraceLimit = Error.stackTraceLimit;
+		let limit = originalStackTraceLimit + LOGGER_FRAME_MARGIN;
+		let header, frames, firstExternal, truncated;
+		do {
+			Error.stackTraceLimit = limit;
+			[header, ...frames] = new Error().stack.split("\n");
+			firstExternal = frames.findIndex((frame) => !frame.includes(__filename));
+			truncated = frames.length === limit;
+			limit *= 2;
+		} while (
+			truncated &&
+			(firstExternal === -1 ||
+				frames.length - firstExternal < originalStackTraceLimit)
+		);
+		Error.stackTraceLimit = originalStackTraceLimit;
+
+		return [header, ...frames.slice(Math.max(firstExternal, 0))]
+			.slice(0, originalStackTraceLimit + 1)
+			.join("\n");
+	}
+
+	/**
+	 * Create a getter that captures the call sites of a log call once, on first use.
+	 * Rate limit keys, inline caller info, the caller info block, and the JSON `caller` share the capture.
+	 * @private
+	 * @param {Function} boundary - The log function that is on the stack while the line is handled.
+	 * @param {number} level - The level threshold of the line.
+	 * @returns {Function} - Returns the captured call sites.
+	 */
+	_createCallSiteGetter(boundary, level) {
+		let callSites = null;
+		return () => {
+			if (!callSites) {
+				// Only the caller info block needs more than the first frame
+				const depth =
+					this.includeCallerInfo && level >= this.callerInfoLevel
+						? CALLER_INFO_DEPTH
+						: 1;
+				callSites = this._captureCallSites(boundary, depth);
+			}
+			return callSites;
+		};
+	}
+
+	/**
+	 * Get the indices of the call sites outside of the logger.
+	 * Frames without file names (e.g. native calls) and frames from this file are skipped.
+	 * @private
+	 * @param {Array<CallSite>} stack - The call sites.
+	 * @returns {Array<number>} - The indices.
+	 */
+	_getExternalFrameIndices(stack) {
+		const indices = [];
+		stack.forEach((frame, index) => {
+			const callerFile = frame.getFileName();
+			if (callerFile && !callerFile.includes(__filename)) {
+				indices.push(index);
+			}
+		});
+		return indices;
+	}
+
+	/**
+	 * Get formatted caller info from the call site cache, formatting it on a miss.
+	 * @private
+	 * @param {string} key - The kind of caller info and the positions of the frames it is built from.
+	 * @param {Function} format - Formats the caller info.
+	 * @returns {any} - The formatted caller info.
+	 */
+	_getCachedCallerInfo(key, format) {
+		let value = this.callerCache.get(key);
+		if (value === undefined) {
+			// Drop the oldest entry so generated code can't grow the cache forever
+			if (this.callerCache.size >= CALLER_CACHE_SIZE) {
+				this.callerCache.delete(this.callerCache.keys().next().value);
+			}
+			value = format();
+			this.callerCache.set(key, value);
+		}
+		return value;
+	}
+
+	/**
+	 * Get the file, function, line, and column of a call site.
+	 * With `sourceMaps` enabled, generated positions are resolved to the original source.
+	 * @private
+	 * @param {Array<CallSite>} stack - The V8 call sites.
+	 * @param {number} index - The index of the call site to resolve.
+	 * @returns {Object} - The absolute `file`, `function` (null if anonymous), `line`, and `column`.
+	 */
+	_resolveFrame(stack, index) {
+		const frame = stack[index];
+		const resolved = {
+			file: frame.getFileName(),
+			function: frame.getFunctionName(),
+			line: frame.getLineNumber(),
+			column: frame.getColumnNumber(),
+		};
+		if (!this.sourceMaps) return resolved;
+
+		// Lazy load the source map utilities, they are only needed with `sourceMaps`
+		if (!resolveSourcePosition) {
+			({ resolveSourcePosition } = require("../lib/sourceMapUtils"));
+		}
+
+		const original = resolveSourcePosition(
+			resolved.file,
+			resolved.line,
+			resolved.column
+		);
+		if (!original) return resolved;
+
+		resolved.file = original.file;
+		resolved.line = original.line;
+		resolved.column = original.column;
+
+		// Find the original function name like Node.js does: from the mapping at the start of the
+		// function, or else from the mapping of the call in the next frame of the same file
+		const enclosing = resolveSourcePosition(
+			frame.getFileName(),
+			frame.getEnclosingLineNumber(),
+			frame.getEnclosingColumnNumber()
+		);
+		const next = stack[index + 1];
+		const callSite =
+			next && next.getFileName() === frame.getFileName()
+				? resolveSourcePosition(
+						next.getFileName(),
+						next.getLineNumber(),
+						next.getColumnNumber()
+				  )
+				: null;
+		const name = (enclosing && enclosing.name) || (callSite && callSite.name);
+		if (name) {
+			resolved.function = name;
+		}
+
+		return resolved;
+	}
+
+	/**
+	 * Build a newline delimited JSON file message for the `json` output format.
+	 * Object arguments are kept as nested JSON instead of inspected text.
+	 * @param {LogRecord} record - The formatted log record.
+	 * @returns {string} - A single JSON encoded line.
+	 */
+	getJsonFileMessage(record) {
+		const json = {
+			time: record.time.toISOString(),
+			level: record.level,
+			levelName: record.levelName,
+			msg: record.msg,
+		};
+		if (record.namespace) {
+			json.namespace = record.namespace;
+		}
+
+		// Context fields are merged at the top level without replacing the core fields
+		for (const key of Object.keys(record.context)) {
+			if (!(key in json)) {
+				json[key] = toJsonValue(record.context[key]);
+			}
+		}
+
+		if (record.caller) {
+			json.caller = record.caller;
+		}
+
+		if (record.memory) {
+			json.memory = record.memory;
+		}
+
+		const objectArgs = record.args.filter(
+			(arg) => typeof arg === "object" && arg !== null
+		);
+		if (!json.msg) {
+			const error = objectArgs.find((arg) => arg instanceof Error);
+			if (error) json.msg = error.message;
+		}
+		if (objectArgs.length > 0) {
+			json.args = objectArgs.map((arg) => toJsonValue(arg));
+		}
+
+		if (record.stackTrace) {
+			json.stack = record.stackTrace;
+		}
+
+		return `${safeStringify(json)}\n`;
+	}
+
+	/**
+	 * Determine if a log call at a level would be written anywhere, to skip building expensive messages.
+	 * @param {number|string} level - The level severity (0 = debug, 5 = fatal) or name.
+	 * @returns {boolean} - Whether at least one transport accepts the level.
+	 * @throws {Error} Throws an error if the level is unknown.
+	 */
+	isLevelEnabled(level) {
+		const definition = this._getLevelDefinition(level);
+		if (!definition) {
+			throw new Error(
+				`ACL Level Error: Unknown level '${level}' in isLevelEnabled().`
+			);
+		}
+
+		const record = this.createLogRecord(
+			this.color[definition.name],
+			true,
+			definition.threshold,
+			definition.name,
+			[]
+		);
+		return this._getTransportsForRecord(record).length > 0;
+	}
+
+	/**
+	 * Determine if a message should be logged to the console.
+	 * @param {boolean} condition - The condition for logging.
+	 * @param {number} level - The level of the log message.
+	 * @param {string|null} [namespace] - The namespace of the log message.
+	 * @returns {boolean} - Whether to log to console.
+	 */
+	shouldLogToConsole(condition, level, namespace) {
+		if (typeof condition === "boolean" && !condition) {
+			return false;
+		}
+		return level >= this.getNamespaceLevel(namespace);
+	}
+
+	/**
+	 * Get the console log level of a namespace.
+	 * The last namespace pattern that matches wins. Excluded and unmatched namespaces use `logLevel`.
+	 * @param {string|null} namespace - The namespace, e.g. "db:pool".
+	 * @returns {number} - The console log level.
+	 */
+	getNamespaceLevel(namespace) {
+		if (!namespace || this.namespacePatterns.length === 0) {
+			return this.logLevel;
+		}
+
+		if (!this.namespaceLevels.has(namespace)) {
+			const pattern = matchNamespace(this.namespacePatterns, namespace);
+			this.namespaceLevels.set(
+				namespace,
+				pattern && !pattern.exclude ? pattern.level : null
+			);
+		}
+		return this.namespaceLevels.get(namespace) ?? this.logLevel;
+	}
+
+	/**
+	 * Determine if a message should be logged to the file.
+	 * @param {boolean} condition - The condition for logging.
+	 * @param {number} level - The level of the log message.
+	 * @returns {boolean} - Whether to log to file.
+	 */
+	shouldLogToFile(condition, level) {
 		if (
 			!this.outputFilename ||
 			(typeof condition === "boolean" && !condition)
@@ -586,105 +1929,431 @@ class ACL {
 	 * Determines and returns the formatted caller information based on the current configuration.
 	 *
 	 * @param {number} level - The log level of the current message.
+	 * @param {Function} [getCallSites] - Returns the call sites captured for the log call.
 	 * @returns {string} The formatted caller information to be included in the log.
 	 */
-	getFormattedCallerInfo(level) {
+	getFormattedCallerInfo(level, getCallSites) {
 		if (this.includeCallerInfo && level >= this.callerInfoLevel) {
-			return this.getCallerInfo();
+			return this.getCallerInfo(1, getCallSites ? getCallSites() : undefined);
 		}
 
 		return "";
 	}
 
+	/**
+	 * Get the console output stream for a log level.
+	 * Uses the `streams` entry for the level, then the `stream` option, then stderr for warn and above and stdout otherwise.
+	 * @param {number|string} level - The level severity or name.
+	 * @returns {Writable} - The output stream.
+	 */
+	getConsoleStream(level) {
+		const definition = this._getLevelDefinition(level);
+		if (definition && this.streams[definition.name]) {
+			return this.streams[definition.name];
+		}
+		if (this.stream) return this.stream;
+
+		return definition && definition.severity >= LOG_LEVELS.warn.severity
+			? process.stderr
+			: process.stdout;
+	}
+
+	/**
+	 * Get every stream console output can go to, for color detection.
+	 * @private
+	 * @returns {Array<Writable>} - The configured streams, or stdout and stderr.
+	 */
+	_getConsoleStreams() {
+		const defaults = this.stream
+			? [this.stream]
+			: [process.stdout, process.stderr];
+		return [...defaults, ...Object.values(this.streams)];
+	}
+
+	/**
+	 * Get the color level a console stream supports, detected once per stream.
+	 * @private
+	 * @param {Writable} stream - The output stream.
+	 * @returns {number} - The color level (0 = none, 1 = 16 colors, 2 = 256 colors, 3 = truecolor).
+	 */
+	_getStreamColorLevel(stream) {
+		let level = this.streamColorLevels.get(stream);
+		if (level === undefined) {
+			level = detectColorLevel(stream);
+			this.streamColorLevels.set(stream, level);
+		}
+		return level;
+	}
+
+	/**
+	 * Write output to the console stream of a log level.
+	 * Colors are stripped if the stream does not support them, unless `colorLevel` is configured.
+	 * @param {number|string} level - The level severity or name.
+	 * @param {string} output - The output to write.
+	 */
+	writeToConsole(level, output) {
+		const stream = this.getConsoleStream(level);
+		if (
+			this.colorLevel > 0 &&
+			this.colorLevelDetected &&
+			this._getStreamColorLevel(stream) === 0
+		) {
+			output = stripAnsiCodes(output);
+		}
+		stream.write(output);
+	}
+
+	/**
+	 * Get the upper case name of a log level.
+	 * @param {number|string} level - The level severity (0 = debug, 5 = fatal) or name.
+	 * @returns {string} - The level name, or "UNKNOWN".
+	 */
 	getLogLevelName(level) {
-		switch (level) {
-			case 0:
-				return "DEBUG";
-			case 1:
-				return "LOG";
-			case 2:
-				return "INFO";
-			case 3:
-				return "WARN";
-			case 4:
-				return "ERROR";
-			case 5:
-				return "FATAL";
-			default:
-				return "UNKNOWN";
+		const definition = this._getLevelDefinition(level);
+		return definition ? definition.name.toUpperCase() : "UNKNOWN";
+	}
+
+	/**
+	 * Look up a registered level by name or severity.
+	 * Built-in levels win when a custom level shares their severity.
+	 * @private
+	 * @param {number|string} level - The level severity or name.
+	 * @returns {Object|undefined} - The level definition.
+	 */
+	_getLevelDefinition(level) {
+		if (typeof level === "string") {
+			return this.levels[level];
 		}
+		return Object.values(this.levels).find(
+			(definition) => definition.severity === level
+		);
 	}
 
 	/**
-	 * Log a message to the console and/or file based on the provided conditions and levels.
+	 * A normalized log record, passed to every transport and formatter.
+	 * @typedef {Object} LogRecord
+	 * @property {Date} time - When the log call was made.
+	 * @property {number} level - Log level of the message (0 = debug, 5 = fatal).
+	 * @property {string} levelName - Lower case level name, e.g. "info".
+	 * @property {number} threshold - Level compared against `logLevel` and `outputFileLogLevel`.
+	 * @property {boolean|any} condition - The condition passed to the log method.
+	 * @property {string} color - Message color for console output.
+	 * @property {Array} args - The message arguments. Thunks are called before the middleware runs, and format specifiers in the first argument are applied once formatted.
+	 * @property {Object} context - Context fields from `runWithContext()` and `child()`.
+	 * @property {string|null} namespace - Namespace of the logger, e.g. "db:pool".
+	 * @property {number} groupDepth - Nesting of `group()` calls when the log call was made.
+	 * @property {string} [msg] - Plain text of the non-object arguments.
+	 * @property {string} [formattedMessage] - All arguments formatted for the console (may contain colors).
+	 * @property {string} [timestamp] - The formatted timestamp, or an empty string.
+	 * @property {string} [memoryUsage] - The formatted memory usage, or an empty string.
+	 * @property {Object} [memory] - Memory usage snapshot, when `includeMemoryUsage` is enabled.
+	 * @property {string} [inlineCallerInfo] - Inline caller info, or an empty string.
+	 * @property {string} [callerInfo] - Caller info block, or an empty string.
+	 * @property {Object} [caller] - Structured caller frame, when caller info is enabled.
+	 * @property {string} [stackTrace] - Stack trace for errors, or an empty string.
+	 */
+
+	/**
+	 * Create the normalized log record for a log call.
+	 * Only the fields needed to select transports are populated; see `formatLogRecord`.
 	 * @param {string} color - Message color for console output.
-	 * @param {boolean} [condition=true] - Condition to determine if the message should be logged.
-	 * @param {number} level - Log level for the message.
-	 * @param {...any} args - Arguments for the log message.
+	 * @param {boolean} condition - Condition to determine if the message should be logged.
+	 * @param {number} level - Log level used for filtering.
+	 * @param {number|string} logLevel - Log level of the message (0 = debug, 5 = fatal), or a registered level name.
+	 * @param {Array} args - Arguments for the log message.
+	 * @returns {LogRecord} - The log record.
 	 */
-	logWithColorAndCondition(color, condition = true, level, logLevel, ...args) {
-		const shouldLogToConsole = this.shouldLogToConsole(condition, level);
-		const shouldLogToFile =
-			this.fileLogger && this.shouldLogToFile(condition, level);
+	createLogRecord(color, condition, level, logLevel, args) {
+		const definition = this._getLevelDefinition(logLevel);
+
+		return {
+			time: new Date(),
+			level: definition ? definition.severity : logLevel,
+			levelName: definition ? definition.name : "unknown",
+			threshold: level,
+			condition,
+			color,
+			args: condition === true ? args : [condition, ...args],
+			context: this._getRecordContext(),
+			namespace: this.namespaceName,
+			groupDepth: this.groupDepth,
+		};
+	}
+
+	/**
+	 * Populate the formatted fields (message, timestamp, caller info, etc.) of a log record.
+	 * @param {LogRecord} record - The log record to format.
+	 * @param {boolean} [includeStackTrace=false] - Capture a stack trace for errors when `includeStackTrace` is enabled.
+	 * @param {Function} [getCallSites] - Returns the call sites captured for the log call.
+	 * @returns {LogRecord} - The formatted log record.
+	 */
+	formatLogRecord(
+		record,
+		includeStackTrace = false,
+		getCallSites = this._createCallSiteGetter(
+			this.formatLogRecord,
+			record.threshold
+		)
+	) {
+		const level = record.threshold;
 
-		if (!shouldLogToConsole && !shouldLogToFile) return;
+		// Redact before any console, file, or worker output is built
+		if (this.redactor) {
+			record.args = this.redactor(record.args);
+			[record.context] = this.redactor([record.context]);
+		}
 
+		// Substitute printf-style specifiers, colored for the console and plain for everything else
+		const colors = this.colorLevel > 0;
 		const formattedArgs = formatArgs(
-			condition === true ? args : [condition, ...args],
-			COLORS.RESET
+			applyFormatSpecifiers(record.args, colors),
+			this.color.reset,
+			colors
 		);
+		record.args = applyFormatSpecifiers(record.args);
 
 		let stackTrace = "";
 		const isErrorOrFatal = level >= 3;
-		const hasExistingStackTrace = formattedArgs.some(
-			(arg) =>
-				typeof arg === "string" && arg.includes("Error") && arg.includes("at ")
+		// A message such as `err.stack` already shows a trace
+		const hasExistingStackTrace = record.args.some(
+			(arg) => typeof arg === "string" && /\n\s+at /.test(arg)
 		);
-		if (this.includeStackTrace && isErrorOrFatal && !hasExistingStackTrace) {
-			stackTrace = new Error().stack;
+		if (
+			includeStackTrace &&
+			this.includeStackTrace &&
+			isErrorOrFatal &&
+			!hasExistingStackTrace
+		) {
+			// Leave out the frames that logged errors already show
+			stackTrace = removeKnownFrames(
+				this._captureStackTrace(),
+				collectErrorFrames(record.args)
+			);
 		}
 
-		const timestamp = this.includeTimestamps
-			? `${COLORS.LIGHT_BLUE}${getCurrentTimestamp(this.timestampFormat)}${
-					COLORS.RESET
-			  } `
+		record.timestamp = this.includeTimestamps
+			? this._formatTimestamp(record.time)
 			: "";
-
-		const inlineCallerInfo =
+		record.memoryUsage = this.memoryUsage;
+		record.memory = this.includeMemoryUsage
+			? getMemorySnapshot(this._totalHeapSizeLimit)
+			: null;
+		record.inlineCallerInfo =
 			this.includeInlineCallerInfo && level >= 1
-				? `${this.color.inlineCaller}${this.getInlineCallerInfo(
-						this.inlineCallerInfoLevel
-				  )}${COLORS.RESET} `
+				? this.getInlineCallerInfo(this.inlineCallerInfoLevel, getCallSites())
 				: "";
-
-		const callerInfo = this.getFormattedCallerInfo(level);
+		record.callerInfo = this.getFormattedCallerInfo(level, getCallSites);
+		record.caller =
+			this.includeInlineCallerInfo ||
+			(this.includeCallerInfo && level >= this.callerInfoLevel)
+				? this.getCallerFrame(getCallSites())
+				: null;
+		record.stackTrace = stackTrace;
+		record.formattedMessage = formattedArgs.join(" ").trim();
+		record.msg = stripAnsiCodes(
+			record.args
+				.filter((arg) => typeof arg !== "object" || arg === null)
+				.map((arg) => String(arg))
+				.join(" ")
+				.trim()
+		);
 
 		this.logEventCount++;
 
-		const formattedMessage = formattedArgs.join(" ").trim();
+		return record;
+	}
+
+	/**
+	 * Compile a line layout template with the tokens available to log records.
+	 * @param {string} template - The template string, e.g. `{timestamp} {level:5} {msg}`.
+	 * @param {boolean} colors - Whether tokens are rendered with console colors.
+	 * @returns {Function} - A function that takes a log record and returns the rendered line.
+	 * @private
+	 */
+	_compileTemplate(template, colors) {
+		// Lazy load the template compiler only when a template is configured
+		if (!compileTemplate) {
+			({ compileTemplate } = require("../lib/templateUtils"));
+		}
+
+		const paint = (color, value) =>
+			colors && value ? `${color}${value}${this.color.reset}` : value;
+		const plain = (value) => (colors ? value : stripAnsiCodes(value));
+
+		return compileTemplate(template, {
+			timestamp: (record) => paint(this.color.timestamp, record.timestamp),
+			level: (record) => paint(record.color, record.levelName.toUpperCase()),
+			pid: () => String(process.pid),
+			namespace: (record) =>
+				record.namespace
+					? paint(
+							getNamespaceColor(record.namespace, colors ? this.colorLevel : 0),
+							record.namespace
+					  )
+					: "",
+			caller: (record) =>
+				paint(this.color.inlineCaller, plain(record.inlineCallerInfo)),
+			memory: (record) => plain(record.memoryUsage).trim(),
+			context: (record) => {
+				const context = formatContext(record.context);
+				return context ? paint(this.color.context, `[${context}]`) : "";
+			},
+			msg: (record) => paint(record.color, plain(record.formattedMessage)),
+		});
+	}
+
+	/**
+	 * Format the timestamp of a log line using the configured format, time zone, or relative mode.
+	 * @param {Date} date - The time of the log line.
+	 * @returns {string} - The formatted timestamp.
+	 * @private
+	 */
+	_formatTimestamp(date) {
+		switch (this.timestampFormat) {
+			case "elapsed":
+				return formatDuration(date.getTime() - this.startTime);
+			case "delta": {
+				// Child loggers share the previous line time with their root logger
+				const root = this._getRootLogger();
+				const previous = root.lastLogTime ?? date.getTime();
+				root.lastLogTime = date.getTime();
+				return `+${formatDuration(Math.max(0, date.getTime() - previous))}`;
+			}
+			default:
+				return getCurrentTimestamp(
+					this.timestampFormat,
+					date,
+					this.timestampTimezone
+				);
+		}
+	}
+
+	/**
+	 * Indent output by the `group()` nesting, two spaces per level like `console.group`.
+	 * @private
+	 * @param {string} output - The output, possibly spanning several lines.
+	 * @param {number} [depth=this.groupDepth] - The group nesting.
+	 * @returns {string} - The indented output.
+	 */
+	_indentForGroup(output, depth = this.groupDepth) {
+		return indentLines(output, "  ".repeat(depth || 0));
+	}
+
+	/**
+	 * Format a log record as a colored console line.
+	 * @param {LogRecord} record - The formatted log record.
+	 * @returns {string} - The console output.
+	 */
+	formatConsoleMessage(record) {
+		const callerInfo = record.callerInfo
+			? `${this.color.caller}${record.callerInfo}${this.color.reset}`
+			: "";
+		if (this.consoleTemplate) {
+			return this._indentForGroup(
+				`${this.consoleTemplate(record)}${this.space}${callerInfo}\n${
+					record.stackTrace ? record.stackTrace + "\n" : ""
+				}`,
+				record.groupDepth
+			);
+		}
+
+		const timestamp = record.timestamp
+			? `${this.color.timestamp}${record.timestamp}${this.color.reset} `
+			: "";
+		const inlineCallerInfo = record.inlineCallerInfo
+			? `${this.color.inlineCaller}${record.inlineCallerInfo}${this.color.reset} `
+			: "";
+		const namespace = record.namespace
+			? `${getNamespaceColor(record.namespace, this.colorLevel)}${
+					record.namespace
+			  }${this.color.reset} `
+			: "";
+		const context = formatContext(record.context);
+		const contextPrefix = context
+			? `${this.color.context}[${context}]${this.color.reset} `
+			: "";
+
+		return this._indentForGroup(
+			`${timestamp}${
+				record.memoryUsage
+			}${inlineCallerInfo}${namespace}${contextPrefix}${record.color}${
+				record.formattedMessage
+			}${this.color.reset}${this.space}${callerInfo}\n${
+				record.stackTrace ? record.stackTrace + "\n" : ""
+			}`,
+			record.groupDepth
+		);
+	}
+
+	/**
+	 * Format a log record as a file line, using the configured `outputFormat`.
+	 * @param {LogRecord} record - The formatted log record.
+	 * @returns {string} - The file output.
+	 */
+	formatFileMessage(record) {
+		if (this.outputFormat === "json") {
+			return this.getJsonFileMessage(record);
+		}
+		if (this.fileTemplate) {
+			return this._indentForGroup(
+				`${this.fileTemplate(record)}${this.space}${
+					record.callerInfo ? stripAnsiCodes(record.callerInfo) : ""
+				}\n${
+					record.stackTrace ? stripAnsiCodes(record.stackTrace) + "\n" : ""
+				}`,
+				record.groupDepth
+			);
+		}
+
+		const timestamp = record.timestamp ? `${record.timestamp} ` : "";
+		const logLevelString = `[${record.levelName.toUpperCase()}]`;
+		const context = formatContext(record.context);
+
+		return this._indentForGroup(
+			`${timestamp}${logLevelString} ${
+				record.inlineCallerInfo
+					? `${stripAnsiCodes(record.inlineCallerInfo)} `
+					: ""
+			}${record.namespace ? `${record.namespace} ` : ""}${
+				context ? `[${context}] ` : ""
+			}${stripAnsiCodes(record.formattedMessage)}${this.space}${
+				record.callerInfo ? stripAnsiCodes(record.callerInfo) : ""
+			}\n${record.stackTrace ? stripAnsiCodes(record.stackTrace) + "\n" : ""}`,
+			record.groupDepth
+		);
+	}
+
+	/**
+	 * Log a message to the console and/or file based on the provided conditions and levels.
+	 * @param {string} color - Message color for console output.
+	 * @param {boolean} [condition=true] - Condition to determine if the message should be logged.
+	 * @param {number} level - Log level for the message.
+	 * @param {...any} args - Arguments for the log message.
+	 */
+	logWithColorAndCondition(color, condition = true, level, logLevel, ...args) {
+		let record = this.createLogRecord(color, condition, level, logLevel, args);
+		if (this.flightRecorder) this._recordRecent(record);
+		let transports = this._getTransportsForRecord(record);
 
-		const consoleMessage = `${timestamp}${
-			this.memoryUsage
-		}${inlineCallerInfo}${color}${formattedMessage}${COLORS.RESET}${
-			this.space
-		}${callerInfo}\n${stackTrace ? stackTrace + "\n" : ""}`;
-		const logLevelString = `[${this.getLogLevelName(logLevel)}]`;
+		if (transports.length === 0) return;
 
-		const fileMessage = `${stripAnsiCodes(timestamp)}${logLevelString} ${
-			inlineCallerInfo ? stripAnsiCodes(inlineCallerInfo) : ""
-		}${stripAnsiCodes(formattedMessage)}${this.space}${
-			callerInfo ? stripAnsiCodes(callerInfo) : ""
-		}\n${stackTrace ? stripAnsiCodes(stackTrace) + "\n" : ""}`;
+		// Rate limiting and formatting share one capture of the caller's stack
+		const getCallSites = this._createCallSiteGetter(
+			this.logWithColorAndCondition,
+			level
+		);
+		if (this.throttle && this._isThrottled(record, getCallSites)) return;
 
-		if (shouldLogToConsole) {
-			process.stdout.write(consoleMessage);
-		}
+		const prepared = this._prepareRecord(record, transports);
+		if (!prepared) return;
+		({ record, transports } = prepared);
 
-		if (this.mode === "worker") {
-			this.logWithWorker(fileMessage);
-		} else if (shouldLogToFile) {
-			this.logWithFileLogger(fileMessage);
+		this.formatLogRecord(record, true, getCallSites);
+		if (this.scopeStorage && this._holdInScope(record, transports)) return;
+		if (this.throttle && this._isDuplicate(record, transports, getCallSites)) {
+			return;
 		}
+		this._writeToTransports(transports, record);
 	}
 
 	/**
@@ -702,114 +2371,229 @@ class ACL {
 		logLevel,
 		...args
 	) {
-		const shouldLogToConsole = this.shouldLogToConsole(condition, level);
-		const shouldLogToFile =
-			this.fileLogger && this.shouldLogToFile(condition, level);
+		// The record (and its context) is captured before deferring, while the caller's context is active
+		let record = this.createLogRecord(color, condition, level, logLevel, args);
+		if (this.flightRecorder) this._recordRecent(record);
+		let transports = this._getTransportsForRecord(record);
+
+		if (transports.length === 0) return;
+
+		// Formatting runs before the first await, while this function is still on the stack
+		const getCallSites = this._createCallSiteGetter(
+			this.logWithColorAndConditionAsync,
+			level
+		);
+		if (this.throttle && this._isThrottled(record, getCallSites)) return;
 
-		if (!shouldLogToConsole && !shouldLogToFile) return;
+		// Middleware runs before deferring, like in the sync variant
+		const prepared = this._prepareRecord(record, transports);
+		if (!prepared) return;
+		({ record, transports } = prepared);
 
 		(async () => {
-			const formattedArgs = formatArgs(
-				condition === true ? args : [condition, ...args],
-				COLORS.RESET
-			);
+			this.formatLogRecord(record, false, getCallSites);
+			if (this.scopeStorage && this._holdInScope(record, transports)) return;
+			if (
+				this.throttle &&
+				this._isDuplicate(record, transports, getCallSites)
+			) {
+				return;
+			}
+			this._writeToTransports(transports, record);
+		})();
+	}
 
-			const timestamp = this.includeTimestamps
-				? `${COLORS.LIGHT_BLUE}${getCurrentTimestamp(this.timestampFormat)}${
-						COLORS.RESET
-				  } `
-				: "";
+	/**
+	 * Apply sampling and rate limits to a record, before it is formatted.
+	 * @private
+	 * @param {LogRecord} record - The log record.
+	 * @param {Function} [getCallSites] - Returns the call sites captured for the log call.
+	 * @returns {boolean} - True if the record is suppressed.
+	 */
+	_isThrottled(record, getCallSites) {
+		let reason = null;
+		if (this.throttle.isSampledOut(record.levelName)) {
+			reason = "sample";
+		} else if (
+			this.throttle.rateLimit &&
+			this.throttle.isRateLimited(this._getThrottleKey(record, getCallSites))
+		) {
+			reason = "rateLimit";
+		}
 
-			const inlineCallerInfo =
-				this.includeInlineCallerInfo && level >= 1
-					? `${this.color.inlineCaller}${this.getInlineCallerInfo(
-							this.inlineCallerInfoLevel
-					  )}${COLORS.RESET} `
-					: "";
+		if (reason) {
+			this._countSuppressed(record, reason);
+		}
+		return reason !== null;
+	}
 
-			// Get formatted caller info
-			const callerInfo = this.getFormattedCallerInfo(level);
+	/**
+	 * Get the rate limit bucket key of a record: its call site, or its level and first argument.
+	 * @private
+	 * @param {LogRecord} record - The log record.
+	 * @param {Function} [getCallSites] - Returns the call sites captured for the log call.
+	 * @returns {string} - The bucket key.
+	 */
+	_getThrottleKey(record, getCallSites) {
+		if (this.throttle.rateLimit.by === "callSite") {
+			const frame = this.getCallerFrame(
+				getCallSites ? getCallSites() : undefined
+			);
+			return frame ? `${frame.file}:${frame.line}:${frame.column}` : "";
+		}
 
-			this.logEventCount++;
+		// The first argument is usually the format string, so "Failed %d" shares a bucket for every value
+		const [first] = record.args;
+		const fingerprint =
+			first instanceof Error
+				? first.message
+				: typeof first === "object" && first !== null
+				? "[object]"
+				: String(first);
+		return `${record.levelName}:${fingerprint}`;
+	}
 
-			const formattedMessage = formattedArgs.join(" ").trim();
+	/**
+	 * Collapse a formatted record if it repeats the previous line.
+	 * Prints the "last message repeated" line when a run of duplicates ends.
+	 * @private
+	 * @param {LogRecord} record - The formatted log record.
+	 * @param {Array<Object>} transports - The transports the record is written to.
+	 * @param {Function} [getCallSites] - Returns the call sites captured for the log call.
+	 * @returns {boolean} - True if the record is a duplicate and should be dropped.
+	 */
+	_isDuplicate(record, transports, getCallSites) {
+		const { duplicate, repeated } = this.throttle.trackDuplicate(
+			`${record.levelName}:${record.namespace || ""}:${formatContext(
+				record.context
+			)}:${record.formattedMessage}`,
+			{ record, transports }
+		);
 
-			const consoleMessage = `${timestamp}${this.memoryUsage}${inlineCallerInfo}${color}${formattedMessage}${COLORS.RESET}${this.space}${callerInfo}\n`;
-			const logLevelString = `[${this.getLogLevelName(logLevel)}]`;
+		if (duplicate) {
+			this._countSuppressed(record, "duplicate");
+			return true;
+		}
+		if (repeated) {
+			this._writeRepeatSummary(repeated, getCallSites);
+		}
+		return false;
+	}
 
-			const fileMessage = `${stripAnsiCodes(timestamp)}${logLevelString} ${
-				inlineCallerInfo ? stripAnsiCodes(inlineCallerInfo) : ""
-			}${stripAnsiCodes(formattedMessage)}${this.space}${
-				callerInfo ? stripAnsiCodes(callerInfo) : ""
-			}\n`;
+	/**
+	 * Write the "last message repeated N times" line for a run of duplicates.
+	 * @private
+	 * @param {Object} repeated - The collapsed run, see `LogThrottle.trackDuplicate`.
+	 * @param {Function} [getCallSites] - Returns the call sites captured for the log call that ended the run.
+	 */
+	_writeRepeatSummary({ entry, count }, getCallSites) {
+		const { record, transports } = entry;
+		const summary = this.createLogRecord(
+			record.color,
+			true,
+			record.threshold,
+			record.levelName,
+			[`last message repeated ${count} ${count === 1 ? "time" : "times"}`]
+		);
+		summary.context = record.context;
+		summary.namespace = record.namespace;
 
-			if (shouldLogToConsole) {
-				process.stdout.write(consoleMessage);
-			}
+		this.formatLogRecord(summary, false, getCallSites);
+		this._writeToTransports(transports, summary);
+	}
 
-			if (this.mode === "worker") {
-				this.logWithWorker(fileMessage);
-			} else if (shouldLogToFile) {
-				this.logWithFileLogger(fileMessage);
-			}
-		})();
+	/**
+	 * Count a suppressed line in the report and emit a `drop` event.
+	 * @private
+	 * @param {LogRecord} record - The suppressed log record.
+	 * @param {string} reason - "sample", "rateLimit", or "duplicate".
+	 */
+	_countSuppressed(record, reason) {
+		if (this.reportGenerator) {
+			this.reportGenerator.incrementSuppressedCount(record.levelName);
+		}
+		this._emitEvent("drop", { reason, record });
 	}
 
 	/**
-	 * ACL a debug message.
-	 * @param {boolean} [condition=true] - Condition to check before logging.
-	 * @param {...any} args - The message arguments.
+	 * Count and log a message at a registered level.
+	 * @private
+	 * @param {string} name - The level name.
+	 * @param {boolean} condition - Condition to check before logging.
+	 * @param {Array} args - The message arguments.
 	 */
-	debug(condition = true, ...args) {
+	_logAtLevel(name, condition, args) {
+		const { threshold } = this.levels[name];
+
 		if (
 			this.generateReport &&
 			this.reportGenerator &&
 			typeof this.reportGenerator.incrementLogCount === "function"
 		) {
-			this.reportGenerator.incrementLogCount("debug");
+			this.reportGenerator.incrementLogCount(name);
 		}
 
-		this.logWithColorAndCondition(this.color.debug, condition, 1, 0, ...args);
+		this.logWithColorAndCondition(
+			this.color[name],
+			condition,
+			threshold,
+			name,
+			...args
+		);
 	}
 
 	/**
-	 * ACL a debug message asynchronously.
-	 * @param {boolean} [condition=true] - Condition to check before logging.
-	 * @param {...any} args - The message arguments.
+	 * Count and log a message at a registered level asynchronously.
+	 * @private
+	 * @param {string} name - The level name.
+	 * @param {boolean} condition - Condition to check before logging.
+	 * @param {Array} args - The message arguments.
 	 */
-	async debugAsync(condition = true, ...args) {
+	async _logAtLevelAsync(name, condition, args) {
+		const { threshold } = this.levels[name];
+
 		if (
 			this.generateReport &&
 			this.reportGenerator &&
 			typeof this.reportGenerator.incrementLogCount === "function"
 		) {
-			this.reportGenerator.incrementLogCount("debugAsync");
+			this.reportGenerator.incrementLogCount(name);
 		}
 
 		await this.logWithColorAndConditionAsync(
-			this.color.debug,
+			this.color[name],
 			condition,
-			1,
-			0,
+			threshold,
+			name,
 			...args
 		);
 	}
 
+	/**
+	 * ACL a debug message.
+	 * @param {boolean} [condition=true] - Condition to check before logging.
+	 * @param {...any} args - The message arguments.
+	 */
+	debug(condition = true, ...args) {
+		this._logAtLevel("debug", condition, args);
+	}
+
+	/**
+	 * ACL a debug message asynchronously.
+	 * @param {boolean} [condition=true] - Condition to check before logging.
+	 * @param {...any} args - The message arguments.
+	 */
+	async debugAsync(condition = true, ...args) {
+		await this._logAtLevelAsync("debug", condition, args);
+	}
+
 	/**
 	 * ACL a regular message.
 	 * @param {boolean} [condition=true] - Condition to check before logging.
 	 * @param {...any} args - The message arguments.
 	 */
 	log(condition = true, ...args) {
-		if (
-			this.generateReport &&
-			this.reportGenerator &&
-			typeof this.reportGenerator.incrementLogCount === "function"
-		) {
-			this.reportGenerator.incrementLogCount("log");
-		}
-
-		this.logWithColorAndCondition(this.color.log, condition, 1, 1, ...args);
+		this._logAtLevel("log", condition, args);
 	}
 
 	/**
@@ -818,21 +2602,7 @@ class ACL {
 	 * @param {...any} args - The message arguments.
 	 */
 	async logAsync(condition = true, ...args) {
-		if (
-			this.generateReport &&
-			this.reportGenerator &&
-			typeof this.reportGenerator.incrementLogCount === "function"
-		) {
-			this.reportGenerator.incrementLogCount("logAsync");
-		}
-
-		await this.logWithColorAndConditionAsync(
-			this.color.log,
-			condition,
-			1,
-			1,
-			...args
-		);
+		await this._logAtLevelAsync("log", condition, args);
 	}
 
 	/**
@@ -841,15 +2611,7 @@ class ACL {
 	 * @param {...any} args - The message arguments.
 	 */
 	info(condition = true, ...args) {
-		if (
-			this.generateReport &&
-			this.reportGenerator &&
-			typeof this.reportGenerator.incrementLogCount === "function"
-		) {
-			this.reportGenerator.incrementLogCount("info");
-		}
-
-		this.logWithColorAndCondition(this.color.info, condition, 1, 2, ...args);
+		this._logAtLevel("info", condition, args);
 	}
 
 	/**
@@ -858,21 +2620,7 @@ class ACL {
 	 * @param {...any} args - The message arguments.
 	 */
 	async infoAsync(condition = true, ...args) {
-		if (
-			this.generateReport &&
-			this.reportGenerator &&
-			typeof this.reportGenerator.incrementLogCount === "function"
-		) {
-			this.reportGenerator.incrementLogCount("infoAsync");
-		}
-
-		await this.logWithColorAndConditionAsync(
-			this.color.info,
-			condition,
-			1,
-			2,
-			...args
-		);
+		await this._logAtLevelAsync("info", condition, args);
 	}
 
 	/**
@@ -881,15 +2629,7 @@ class ACL {
 	 * @param {...any} args - The message arguments.
 	 */
 	warn(condition = true, ...args) {
-		if (
-			this.generateReport &&
-			this.reportGenerator &&
-			typeof this.reportGenerator.incrementLogCount === "function"
-		) {
-			this.reportGenerator.incrementLogCount("warn");
-		}
-
-		this.logWithColorAndCondition(this.color.warn, condition, 2, 3, ...args);
+		this._logAtLevel("warn", condition, args);
 	}
 
 	/**
@@ -898,21 +2638,7 @@ class ACL {
 	 * @param {...any} args - The message arguments.
 	 */
 	async warnAsync(condition = true, ...args) {
-		if (
-			this.generateReport &&
-			this.reportGenerator &&
-			typeof this.reportGenerator.incrementLogCount === "function"
-		) {
-			this.reportGenerator.incrementLogCount("warnAsync");
-		}
-
-		await this.logWithColorAndConditionAsync(
-			this.color.warn,
-			condition,
-			2,
-			3,
-			...args
-		);
+		await this._logAtLevelAsync("warn", condition, args);
 	}
 
 	/**
@@ -921,15 +2647,7 @@ class ACL {
 	 * @param {...any} args - The message arguments.
 	 */
 	error(condition = true, ...args) {
-		if (
-			this.generateReport &&
-			this.reportGenerator &&
-			typeof this.reportGenerator.incrementLogCount === "function"
-		) {
-			this.reportGenerator.incrementLogCount("error");
-		}
-
-		this.logWithColorAndCondition(this.color.error, condition, 3, 4, ...args);
+		this._logAtLevel("error", condition, args);
 	}
 
 	/**
@@ -938,21 +2656,7 @@ class ACL {
 	 * @param {...any} args - The message arguments.
 	 */
 	async errorAsync(condition = true, ...args) {
-		if (
-			this.generateReport &&
-			this.reportGenerator &&
-			typeof this.reportGenerator.incrementLogCount === "function"
-		) {
-			this.reportGenerator.incrementLogCount("errorAsync");
-		}
-
-		await this.logWithColorAndConditionAsync(
-			this.color.error,
-			condition,
-			3,
-			4,
-			...args
-		);
+		await this._logAtLevelAsync("error", condition, args);
 	}
 
 	/**
@@ -961,15 +2665,10 @@ class ACL {
 	 * @param {...any} args - The message arguments.
 	 */
 	fatal(condition = true, ...args) {
-		if (
-			this.generateReport &&
-			this.reportGenerator &&
-			typeof this.reportGenerator.incrementLogCount === "function"
-		) {
-			this.reportGenerator.incrementLogCount("fatal");
+		this._logAtLevel("fatal", condition, args);
+		if (this.flightRecorder && condition !== false) {
+			this.dumpRecent();
 		}
-
-		this.logWithColorAndCondition(this.color.fatal, condition, 3, 5, ...args);
 		if (this.terminateOnFatal) {
 			process.exit(1); // Exit the process with an error code
 		}
@@ -981,21 +2680,10 @@ class ACL {
 	 * @param {...any} args - The message arguments.
 	 */
 	async fatalAsync(condition = true, ...args) {
-		if (
-			this.generateReport &&
-			this.reportGenerator &&
-			typeof this.reportGenerator.incrementLogCount === "function"
-		) {
-			this.reportGenerator.incrementLogCount("fatalAsync");
+		await this._logAtLevelAsync("fatal", condition, args);
+		if (this.flightRecorder && condition !== false) {
+			this.dumpRecent();
 		}
-
-		await this.logWithColorAndConditionAsync(
-			this.color.fatal,
-			condition,
-			3,
-			5,
-			...args
-		);
 		if (this.terminateOnFatal) {
 			await this.close(); // Gracefully handle all shutdown procedures
 			setImmediate(() => process.exit(0)); // Exit with code 0 after cleanup
@@ -1078,54 +2766,57 @@ class ACL {
 	}
 
 	/**
-	 * Pretty print an object, similar to console.dir.
+	 * Pretty print an object, similar to console.dir. The object is redacted like log arguments.
 	 * @param {Object} obj - The object to print.
 	 */
 	dir(obj) {
-		process.stdout.write(
-			`${COLORS.RESET}${util.inspect(obj, {
+		if (this.redactor) {
+			[obj] = this.redactor([obj]);
+		}
+
+		const output = this._indentForGroup(
+			`${this.color.reset}${util.inspect(obj, {
 				showHidden: false,
 				depth: null,
-				colors: true,
+				colors: this.colorLevel > 0,
 				maxArrayLength: null,
 				compact: false,
 			})}\n`
 		);
+		this._runInternal(() => this.writeToConsole("log", output));
 	}
 
 	/**
 	 * Print a stack trace, similar to console.trace.
 	 */
 	trace() {
-		// Capture the original stack trace
-		const originalPrepareStackTrace = Error.prepareStackTrace;
-
-		Error.prepareStackTrace = (err, stack) => stack;
-
-		const err = new Error();
-		const stack = err.stack;
-
-		Error.prepareStackTrace = originalPrepareStackTrace;
+		// Capture the stack from the caller of trace(), as deep as `Error.stackTraceLimit` allows
+		const stack = this._captureCallSites(this.trace, Error.stackTraceLimit);
 
 		// Get the current file path to filter out ACL internal calls
 		const internalFile = __filename;
 
 		// Filter out internal ACL class frames from the stack trace
 		const filteredStack = stack
+			.map((frame, index) => ({ frame, index }))
 			.filter(
-				(frame) =>
+				({ frame }) =>
 					frame.getFileName() && !frame.getFileName().includes(internalFile)
 			)
-			.map(
-				(frame) =>
-					`    at ${
-						frame.getFunctionName() || "anonymous"
-					} (${frame.getFileName()}:${frame.getLineNumber()}:${frame.getColumnNumber()})`
-			)
+			.map(({ index }) => {
+				const resolved = this._resolveFrame(stack, index);
+				return `    at ${resolved.function || "anonymous"} (${resolved.file}:${
+					resolved.line
+				}:${resolved.column})`;
+			})
 			.join("\n");
 
 		// Log the filtered stack trace
-		process.stdout.write(`${COLORS.RESET}Trace:\n${filteredStack}\n`);
+		// Like console.trace, the trace is written to the warn stream (stderr by default)
+		const output = this._indentForGroup(
+			`${this.color.reset}Trace:\n${filteredStack}\n`
+		);
+		this._runInternal(() => this.writeToConsole("warn", output));
 	}
 
 	/**
@@ -1153,6 +2844,187 @@ class ACL {
 		}
 	}
 
+	/**
+	 * Log the elapsed time of a timer without stopping it, similar to console.timeLog.
+	 * @param {string} [label="default"] - The label for the timer.
+	 * @param {...any} data - Additional values logged after the elapsed time.
+	 */
+	timeLog(label = "default", ...data) {
+		const elapsedTime = this.getTimer(label);
+		if (elapsedTime !== null) {
+			this.debug(
+				true,
+				`Timer '${label}' elapsed time: ${elapsedTime}ms`,
+				...data
+			);
+		} else {
+			this.error(true, `Timer '${label}' does not exist.`);
+		}
+	}
+
+	/**
+	 * Log an optional label and indent the following lines, similar to console.group.
+	 * Indentation applies to console and text file output of this logger and its child loggers.
+	 * @param {...any} label - The group label, logged at the `log` level.
+	 */
+	group(...label) {
+		if (label.length > 0) {
+			this.log(true, ...label);
+		}
+		this._getRootLogger().groupDepth = this.groupDepth + 1;
+	}
+
+	/**
+	 * Same as group(). Terminals can't collapse groups, so the group is shown expanded.
+	 * @param {...any} label - The group label, logged at the `log` level.
+	 */
+	groupCollapsed(...label) {
+		this.group(...label);
+	}
+
+	/**
+	 * End the current group, similar to console.groupEnd.
+	 */
+	groupEnd() {
+		this._getRootLogger().groupDepth = Math.max(0, this.groupDepth - 1);
+	}
+
+	/**
+	 * Log tabular data at the `log` level, similar to console.table. The data is redacted like log arguments.
+	 * @param {any} data - The data to show. Values that are not objects are logged as they are.
+	 * @param {Array<string>} [properties] - The columns to include.
+	 */
+	table(data, properties) {
+		// Key paths can only be redacted before the data is rendered as text
+		if (this.redactor) {
+			[data] = this.redactor([data]);
+		}
+
+		// Let Node.js render the table, then log it like any other message
+		let output = "";
+		const collector = new Writable({
+			write(chunk, encoding, callback) {
+				output += chunk;
+				callback();
+			},
+		});
+		new console.Console({ stdout: collector, colorMode: false }).table(
+			data,
+			properties
+		);
+
+		// "%s" keeps format specifiers in the cells from being substituted
+		this.log(true, "%s", output.replace(/\n$/, ""));
+	}
+
+	/**
+	 * Log how many times count() was called with a label, similar to console.count.
+	 * @param {string} [label="default"] - The counter label.
+	 */
+	count(label = "default") {
+		const counters = this._getRootLogger().counters;
+		const count = (counters.get(label) || 0) + 1;
+		counters.set(label, count);
+		this.log(true, "%s", `${label}: ${count}`);
+	}
+
+	/**
+	 * Reset a counter, similar to console.countReset.
+	 * @param {string} [label="default"] - The counter label.
+	 */
+	countReset(label = "default") {
+		const counters = this._getRootLogger().counters;
+		if (counters.has(label)) {
+			counters.delete(label);
+		} else {
+			this.warn(true, "%s", `Count for '${label}' does not exist`);
+		}
+	}
+
+	/**
+	 * Log an error if an assertion is falsy, similar to console.assert.
+	 * @param {any} assertion - The value to check.
+	 * @param {...any} args - The message arguments.
+	 */
+	assert(assertion, ...args) {
+		if (assertion) return;
+
+		// Like console.assert, prefix a string message and otherwise log the prefix before the values
+		if (typeof args[0] === "string") {
+			args[0] = `Assertion failed: ${args[0]}`;
+		} else {
+			args.unshift("Assertion failed");
+		}
+		this.error(true, ...args);
+	}
+
+	/**
+	 * Redirect the global console to this logger, e.g. for third-party code that calls `console.log`.
+	 * `console.debug`, `log`, `info`, `warn`, and `error` go to the matching levels, and the other
+	 * console methods to their ACL counterparts (timer methods only with `enableTimers`).
+	 * Takes over the patch if another logger holds it.
+	 * @returns {ACL} - The logger, for chaining.
+	 */
+	patchConsole() {
+		if (consolePatch && consolePatch.logger === this) return this;
+
+		// Undo another logger's patch first, so every method is redirected to this logger
+		if (consolePatch) consolePatch.logger.restoreConsole();
+
+		const originals = {};
+		const patch = { logger: this, originals, busy: 0 };
+
+		const redirect = (name, call) => {
+			originals[name] = console[name];
+
+			console[name] = (...args) => {
+				// Calls made while ACL is logging go to the original console, so ACL can't log its own output
+				if (patch.busy > 0) return originals[name].apply(console, args);
+
+				patch.busy++;
+				try {
+					call(args);
+				} finally {
+					patch.busy--;
+				}
+			};
+		};
+
+		for (const name of CONSOLE_LEVEL_METHODS) {
+			redirect(name, (args) => this[name](true, ...keepFunctionArgs(args)));
+		}
+		const methods = this.enableTimers
+			? [...CONSOLE_METHODS, ...CONSOLE_TIMER_METHODS]
+			: CONSOLE_METHODS;
+		for (const name of methods) {
+			// dir() and table() inspect their arguments themselves
+			redirect(name, (args) =>
+				name === "dir" || name === "table"
+					? this[name](...args)
+					: this[name](...keepFunctionArgs(args))
+			);
+		}
+
+		consolePatch = patch;
+		return this;
+	}
+
+	/**
+	 * Restore the console methods replaced by `patchConsole()`.
+	 * Does nothing if the console was patched by a logger with a different parent logger.
+	 * @returns {ACL} - The logger, for chaining.
+	 */
+	restoreConsole() {
+		if (
+			consolePatch &&
+			consolePatch.logger._getRootLogger() === this._getRootLogger()
+		) {
+			Object.assign(console, consolePatch.originals);
+			consolePatch = null;
+		}
+		return this;
+	}
+
 	/**
 	 * Generate and print a usage report.
 	 */
@@ -1162,7 +3034,9 @@ class ACL {
 			this.reportGenerator &&
 			typeof this.reportGenerator.generateReport === "function"
 		) {
-			this.reportGenerator.generateReport();
+			this._runInternal(() =>
+				this.reportGenerator.generateReport(this.getConsoleStream("log"))
+			);
 		} else {
 			throw new Error(
 				`ACL Report Error: The 'generateReport' config option must be set to true to generate a report.`
@@ -1177,9 +3051,20 @@ class ACL {
 	getFormattedMemoryUsage() {
 		return getFormattedMemoryUsage(
 			this._totalHeapSizeLimit,
-			this.memoryDisplayMode
+			this.memoryDisplayMode,
+			this.color.memory,
+			this.colorLevel > 0
 		);
 	}
 }
 
+// Listeners added to child and namespaced loggers are kept on the parent logger, which emits the events
+for (const name of LISTENER_METHODS) {
+	ACL.prototype[name] = function (...args) {
+		const root = this._getRootLogger();
+		const result = EventEmitter.prototype[name].apply(root, args);
+		return result === root ? this : result;
+	};
+}
+
 module.exports = ACL;
@@ -1,11 +1,13 @@
 const fs = require("fs");
 const path = require("path");
+const { EventEmitter } = require("events");
 const { getCurrentTimestamp } = require("../lib/timestampUtils");
 
 /**
  * FileLogger class for managing logging to files with features such as file rotation.
+ * Emits `rotate` with the `file` and the `rotatedFile` it was renamed to.
  */
-class FileLogger {
+class FileLogger extends EventEmitter {
 	/**
 	 * Creates an instance of FileLogger.
 	 *
@@ -14,6 +16,8 @@ class FileLogger {
 	 * @param {number} [config.maxLogFileSizeMB=10] - Maximum size of a log file in MB before rotation.
 	 * @param {number} [config.maxLogFiles=5] - Maximum number of log files to retain.
 	 * @param {boolean} [config.writeHeader=true] - Flag to determine if a header should be written at the beginning of a new log session.
+	 * @param {string} [config.outputFormat="text"] - Format of the log lines ("text" or "json"). No header is written for "json".
+	 * @param {string} [config.timestampTimezone] - "UTC" or an IANA time zone for the header timestamp. Defaults to local time.
 	 * @param {Function} [errorHandler=console.error] - Function to handle errors.
 	 * @constructor
 	 */
@@ -23,12 +27,17 @@ class FileLogger {
 			maxLogFileSizeMB = 10,
 			maxLogFiles = 5,
 			writeHeader = true,
+			outputFormat = "text",
+			timestampTimezone,
 		} = {},
 		errorHandler = console.error
 	) {
+		super();
 		this.outputFilename = outputFilename;
 		this.maxLogFileSizeMB = maxLogFileSizeMB;
 		this.maxLogFiles = maxLogFiles;
+		this.outputFormat = outputFormat;
+		this.timestampTimezone = timestampTimezone;
 		this.errorHandler = errorHandler;
 		this.currentFileSize = 0; // Cached file size in bytes
 		this.rotatedFiles = []; // Cache of rotated log files
@@ -39,7 +48,8 @@ class FileLogger {
 		// Initialize log file and stream
 		this._initializeLogFileAndStream();
 
-		if (writeHeader !== false) {
+		// A free text header would break newline delimited JSON parsers
+		if (writeHeader !== false && outputFormat !== "json") {
 			this.writeHeader();
 		}
 
@@ -138,7 +148,9 @@ class FileLogger {
 	writeHeader() {
 		const scriptName = require.main ? require.main.filename : process.argv[1];
 		const header = `\n${getCurrentTimestamp(
-			"MM-DD-YYYY HH:mm:ss.SSS"
+			"MM-DD-YYYY HH:mm:ss.SSS",
+			new Date(),
+			this.timestampTimezone
 		)} ${scriptName}
 ---------------------------------------------------------------------------------------------------------------\n\n`;
 		try {
@@ -167,14 +179,17 @@ class FileLogger {
 	 * Synchronously writes a log message to the file.
 	 *
 	 * @param {string} message - Log message to write.
+	 * @returns {boolean} - Whether the message was written.
 	 */
 	writeToFile(message) {
 		try {
 			this.rotateLogFilesIfNeeded();
 			this.logStream.write(message, "utf8");
 			this._incrementFileSize(Buffer.byteLength(message, "utf8"));
+			return true;
 		} catch (err) {
 			this.errorHandler(`Failed to write to file (sync): ${err.message}`);
+			return false;
 		}
 	}
 
@@ -182,7 +197,7 @@ class FileLogger {
 	 * Asynchronously writes a log message to the file.
 	 *
 	 * @param {string} message - Log message to write.
-	 * @returns {Promise<void>} Returns a promise that resolves when the log is written.
+	 * @returns {Promise<boolean>} Resolves when the log is written, with whether the write succeeded.
 	 */
 	async writeToFileAsync(message) {
 		try {
@@ -204,8 +219,10 @@ class FileLogger {
 					this.logStream.once("drain", () => resolve());
 				}
 			});
+			return true;
 		} catch (err) {
 			this.errorHandler(`Failed to write to file (async): ${err.message}`);
+			return false;
 		}
 	}
 
@@ -254,6 +271,11 @@ class FileLogger {
 
 		this.rotatedFiles.push(rotatedFilename);
 		this._enforceRetention();
+
+		this.emit("rotate", {
+			file: this.outputFilename,
+			rotatedFile: path.join(logDir, rotatedFilename),
+		});
 	}
 
 	/**
@@ -292,6 +314,11 @@ class FileLogger {
 
 			// Enforce file retention policy asynchronously
 			await this._enforceRetentionAsync();
+
+			this.emit("rotate", {
+				file: this.outputFilename,
+				rotatedFile: path.join(logDir, rotatedFilename),
+			});
 		} catch (err) {
 			this.errorHandler(
 				`Failed to rotate log files asynchronously: ${err.message}`
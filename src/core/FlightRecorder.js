@@ -0,0 +1,92 @@
+/**
+ * FlightRecorder class for keeping the most recent log lines of every level in a bounded ring buffer.
+ */
+class FlightRecorder {
+	/**
+	 * Creates an instance of FlightRecorder.
+	 * @param {Object} [options] - Buffer limits. The oldest lines are dropped when either limit is reached.
+	 * @param {number} [options.maxEntries=1000] - Maximum number of lines kept.
+	 * @param {number} [options.maxBytes=1048576] - Maximum total size of the kept lines in bytes (UTF-8).
+	 * @throws {Error} Throws an error if a limit is not a positive integer.
+	 */
+	constructor({ maxEntries = 1000, maxBytes = 1048576 } = {}) {
+		for (const [name, value] of Object.entries({ maxEntries, maxBytes })) {
+			if (!Number.isInteger(value) || value <= 0) {
+				throw new Error(
+					`ACL Flight Recorder Error: '${name}' must be a positive integer.`
+				);
+			}
+		}
+
+		this.maxEntries = maxEntries;
+		this.maxBytes = maxBytes;
+		this.entries = new Array(maxEntries); // Ring buffer slots
+		this.start = 0; // Slot of the oldest entry
+		this.length = 0; // Number of kept entries
+		this.bytes = 0; // Total size of the kept entries
+	}
+
+	/**
+	 * Add a line, dropping the oldest lines if a limit is exceeded.
+	 * A line larger than `maxBytes` is truncated.
+	 * @param {Object} entry - The line.
+	 * @param {Date} entry.time - When the line was logged.
+	 * @param {string} entry.levelName - The level name.
+	 * @param {string} entry.text - The plain text of the line, without timestamp and level.
+	 */
+	add({ time, levelName, text }) {
+		let size = Buffer.byteLength(text, "utf8");
+		if (size > this.maxBytes) {
+			// Drop a character that was cut in half
+			text = Buffer.from(text, "utf8")
+				.subarray(0, this.maxBytes)
+				.toString("utf8")
+				.replace(/\uFFFD$/, "");
+			size = Buffer.byteLength(text, "utf8");
+		}
+
+		while (
+			this.length > 0 &&
+			(this.length >= this.maxEntries || this.bytes + size > this.maxBytes)
+		) {
+			this._removeOldest();
+		}
+
+		const slot = (this.start + this.length) % this.maxEntries;
+		this.entries[slot] = { time, levelName, text, size };
+		this.length++;
+		this.bytes += size;
+	}
+
+	/**
+	 * Get the kept lines and empty the buffer, so the next dump only contains newer lines.
+	 * @returns {Array<Object>} - The lines, oldest first, with `time`, `levelName`, and `text`.
+	 */
+	takeAll() {
+		const entries = [];
+		for (let i = 0; i < this.length; i++) {
+			const { time, levelName, text } =
+				this.entries[(this.start + i) % this.maxEntries];
+			entries.push({ time, levelName, text });
+		}
+
+		this.entries = new Array(this.maxEntries);
+		this.start = 0;
+		this.length = 0;
+		this.bytes = 0;
+		return entries;
+	}
+
+	/**
+	 * Drop the oldest line.
+	 * @private
+	 */
+	_removeOldest() {
+		this.bytes -= this.entries[this.start].size;
+		this.entries[this.start] = undefined;
+		this.start = (this.start + 1) % this.maxEntries;
+		this.length--;
+	}
+}
+
+module.exports = FlightRecorder;
@@ -0,0 +1,80 @@
+// Most lines held by a scope, the oldest are dropped beyond this
+const MAX_SCOPE_ENTRIES = 1000;
+
+/**
+ * LogScope class for holding the lines below `warn` that are logged within a unit of work, e.g. a request.
+ * The held lines are written out in order when the scope is committed, and dropped when it is discarded.
+ */
+class LogScope {
+	/**
+	 * Creates an instance of LogScope.
+	 * @param {ACL} logger - The logger that writes the held lines.
+	 * @param {LogScope} [parent] - The scope that was active when this one was created.
+	 */
+	constructor(logger, parent) {
+		this.logger = logger;
+		this.parent = parent || null;
+		this.entries = []; // Formatted records and their transports, oldest first
+		this.closed = false; // Set by `commit()` and `discard()`, lines are written directly afterwards
+	}
+
+	/**
+	 * Run a function with this scope active for every line logged within its async call tree.
+	 * @param {Function} fn - The function to run.
+	 * @returns {any} - The return value of `fn`.
+	 */
+	run(fn) {
+		return this.logger._getScopeStorage().run(this, fn);
+	}
+
+	/**
+	 * Hold a formatted record until the scope is committed or discarded.
+	 * @param {LogRecord} record - The formatted log record.
+	 * @param {Array<Object>} transports - The transports that accept the record.
+	 */
+	hold(record, transports) {
+		if (this.entries.length >= MAX_SCOPE_ENTRIES) {
+			const oldest = this.entries.shift();
+			this.logger._emitEvent("drop", {
+				reason: "scope",
+				record: oldest.record,
+			});
+		}
+		this.entries.push({ record, transports });
+	}
+
+	/**
+	 * Write the held lines in order, after those of open parent scopes, and close the scope.
+	 * @returns {LogScope} - The scope, for chaining.
+	 */
+	commit() {
+		if (this.parent && !this.parent.closed) {
+			this.parent.commit();
+		}
+		this.closed = true;
+
+		const entries = this.entries;
+		this.entries = [];
+		for (const { record, transports } of entries) {
+			this.logger._writeToTransports(transports, record);
+		}
+		return this;
+	}
+
+	/**
+	 * Drop the held lines and close the scope.
+	 * @returns {LogScope} - The scope, for chaining.
+	 */
+	discard() {
+		this.closed = true;
+
+		const entries = this.entries;
+		this.entries = [];
+		for (const { record } of entries) {
+			this.logger._emitEvent("drop", { reason: "scope", record });
+		}
+		return this;
+	}
+}
+
+module.exports = LogScope;
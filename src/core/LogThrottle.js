@@ -0,0 +1,132 @@
+/**
+ * LogThrottle class for sampling, rate limiting, and collapsing duplicate log lines.
+ */
+class LogThrottle {
+	/**
+	 * Creates an instance of LogThrottle.
+	 * @param {Object} [options] - Throttling options.
+	 * @param {Object} [options.sample] - Fraction of lines to keep per level name, e.g. `{ debug: 0.1 }`.
+	 * @param {Object} [options.rateLimit] - Token bucket rate limit.
+	 * @param {number} options.rateLimit.limit - Lines allowed per interval (and burst size) for each key.
+	 * @param {number} [options.rateLimit.interval=1000] - Interval in ms over which `limit` tokens are refilled.
+	 * @param {string} [options.rateLimit.by="message"] - Bucket key, "message" (level and first argument) or "callSite".
+	 * @param {boolean} [options.collapseDuplicates=false] - Collapse runs of identical lines.
+	 * @param {number} [maxKeys=1000] - Maximum number of rate limit buckets kept in memory.
+	 * @throws {Error} Throws an error if an option is invalid.
+	 */
+	constructor(
+		{ sample = {}, rateLimit = null, collapseDuplicates = false } = {},
+		maxKeys = 1000
+	) {
+		for (const [name, rate] of Object.entries(sample)) {
+			if (typeof rate !== "number" || rate < 0 || rate > 1) {
+				throw new Error(
+					`ACL Throttle Error: Sample rate for '${name}' must be a number between 0 and 1.`
+				);
+			}
+		}
+		if (rateLimit) {
+			if (typeof rateLimit.limit !== "number" || rateLimit.limit <= 0) {
+				throw new Error(
+					"ACL Throttle Error: 'rateLimit.limit' must be a positive number."
+				);
+			}
+			if (rateLimit.by && !["message", "callSite"].includes(rateLimit.by)) {
+				throw new Error(
+					`ACL Throttle Error: Unknown 'rateLimit.by' value '${rateLimit.by}'.`
+				);
+			}
+		}
+
+		this.sample = sample;
+		this.rateLimit = rateLimit && {
+			limit: rateLimit.limit,
+			interval: rateLimit.interval || 1000,
+			by: rateLimit.by || "message",
+		};
+		this.collapseDuplicates = !!collapseDuplicates;
+		this.maxKeys = maxKeys;
+		this.buckets = new Map(); // Token buckets keyed by message or call site
+		this.lastKey = null; // Key of the previous line, for duplicate collapsing
+		this.lastEntry = null; // Caller supplied data about the previous line
+		this.repeatCount = 0; // Duplicates of the previous line that were suppressed
+	}
+
+	/**
+	 * Decide if a line is dropped by sampling.
+	 * @param {string} levelName - The level name.
+	 * @returns {boolean} - True if the line should be dropped.
+	 */
+	isSampledOut(levelName) {
+		const rate = this.sample[levelName];
+		return rate !== undefined && Math.random() >= rate;
+	}
+
+	/**
+	 * Take a token from the bucket of a key.
+	 * @param {string} key - The message fingerprint or call site.
+	 * @param {number} [now=Date.now()] - The current time in ms.
+	 * @returns {boolean} - True if the bucket is empty and the line should be dropped.
+	 */
+	isRateLimited(key, now = Date.now()) {
+		if (!this.rateLimit) return false;
+
+		const { limit, interval } = this.rateLimit;
+		let bucket = this.buckets.get(key);
+		if (!bucket) {
+			// Drop the oldest bucket so unique messages can't grow the map forever
+			if (this.buckets.size >= this.maxKeys) {
+				this.buckets.delete(this.buckets.keys().next().value);
+			}
+			bucket = { tokens: limit, updated: now };
+			this.buckets.set(key, bucket);
+		}
+
+		// Refill the tokens for the time passed since the last line
+		bucket.tokens = Math.min(
+			limit,
+			bucket.tokens + ((now - bucket.updated) * limit) / interval
+		);
+		bucket.updated = now;
+
+		if (bucket.tokens < 1) return true;
+		bucket.tokens--;
+		return false;
+	}
+
+	/**
+	 * Track a line for duplicate collapsing.
+	 * @param {string} key - The line's identity, e.g. level and formatted message.
+	 * @param {any} entry - Data kept about the line, returned when its run of duplicates ends.
+	 * @returns {Object} - `duplicate` is true if the line should be dropped. `repeated` holds the previous
+	 * line's entry and suppressed `count` when a run of duplicates ended, otherwise null.
+	 */
+	trackDuplicate(key, entry) {
+		if (!this.collapseDuplicates) return { duplicate: false, repeated: null };
+
+		if (key === this.lastKey) {
+			this.repeatCount++;
+			return { duplicate: true, repeated: null };
+		}
+
+		const repeated = this.takeRepeated();
+		this.lastKey = key;
+		this.lastEntry = entry;
+		return { duplicate: false, repeated };
+	}
+
+	/**
+	 * Take the pending run of duplicates, e.g. before closing the logger.
+	 * @returns {Object|null} - The previous line's entry and suppressed `count`, or null if nothing was suppressed.
+	 */
+	takeRepeated() {
+		const repeated =
+			this.repeatCount > 0
+				? { entry: this.lastEntry, count: this.repeatCount }
+				: null;
+		this.repeatCount = 0;
+		return repeated;
+	}
+}
+
+module.exports = LogThrottle;
@@ -0,0 +1,89 @@
+// Longest partial line kept in memory before it is passed on without a line break
+const MAX_PARTIAL_LINE_LENGTH = 65536;
+
+/**
+ * OutputCapture class for intercepting raw writes to process streams, e.g. by native addons.
+ * Written chunks still reach the stream. Complete lines are also passed to a callback.
+ */
+class OutputCapture {
+	/**
+	 * Creates an instance of OutputCapture.
+	 * @param {Object} streams - The streams to capture by name, e.g. `{ stdout: process.stdout }`.
+	 * @param {Function} onLine - Called with the stream name and each captured line, without the line break.
+	 */
+	constructor(streams, onLine) {
+		this.streams = streams;
+		this.onLine = onLine;
+		this.originalWrites = {}; // The streams' own write methods, restored by `stop()`
+		this.partialLines = {}; // Text after the last line break of each stream
+		this.paused = 0; // Writes are not captured while this is above 0, e.g. the logger's own console output
+	}
+
+	/**
+	 * Start intercepting writes to the streams.
+	 */
+	start() {
+		for (const [name, stream] of Object.entries(this.streams)) {
+			const originalWrite = stream.write;
+			this.originalWrites[name] = originalWrite;
+			this.partialLines[name] = "";
+
+			const capture = this;
+			stream.write = function (chunk, encoding, callback) {
+				if (capture.paused === 0) {
+					capture._capture(name, chunk, encoding);
+				}
+				return originalWrite.call(this, chunk, encoding, callback);
+			};
+		}
+	}
+
+	/**
+	 * Stop intercepting writes and pass on the remaining partial lines.
+	 */
+	stop() {
+		for (const [name, stream] of Object.entries(this.streams)) {
+			if (this.partialLines[name]) {
+				this.onLine(name, this.partialLines[name]);
+				this.partialLines[name] = "";
+			}
+			stream.write = this.originalWrites[name];
+		}
+		this.originalWrites = {};
+	}
+
+	/**
+	 * Split a written chunk into lines and pass on the complete ones.
+	 * @private
+	 * @param {string} name - The stream name.
+	 * @param {string|Buffer|Uint8Array} chunk - The written chunk.
+	 * @param {string|Function} [encoding] - The chunk's encoding, or the write callback.
+	 */
+	_capture(name, chunk, encoding) {
+		const text =
+			typeof chunk === "string"
+				? chunk
+				: Buffer.from(chunk).toString(
+						typeof encoding === "string" ? encoding : "utf8"
+				  );
+
+		const lines = (this.partialLines[name] + text).split("\n");
+		let partialLine = lines.pop();
+
+		// Don't let output without line breaks grow the buffer forever
+		if (partialLine.length > MAX_PARTIAL_LINE_LENGTH) {
+			lines.push(partialLine);
+			partialLine = "";
+		}
+		this.partialLines[name] = partialLine;
+
+		for (const line of lines) {
+			const trimmed = line.replace(/\r$/, "");
+			if (trimmed) {
+				this.onLine(name, trimmed);
+			}
+		}
+	}
+}
+
+module.exports = OutputCapture;
@@ -1,13 +1,29 @@
 class ReportGenerator {
-	constructor() {
-		this.reportData = {
-			debug: 0,
-			log: 0,
-			info: 0,
-			warn: 0,
-			error: 0,
-			fatal: 0,
-		};
+	/**
+	 * Creates an instance of ReportGenerator.
+	 * @param {Array<string>} [levelNames] - The log levels to report on, in display order.
+	 * @param {Object} [options] - Report options.
+	 * @param {boolean} [options.includeSuppressed=false] - Add a column for lines dropped by sampling, rate limits, or duplicate collapsing.
+	 */
+	constructor(
+		levelNames = ["debug", "log", "info", "warn", "error", "fatal"],
+		{ includeSuppressed = false } = {}
+	) {
+		this.reportData = {};
+		this.suppressedData = {};
+		this.includeSuppressed = includeSuppressed;
+		levelNames.forEach((name) => this.addLevel(name));
+	}
+
+	/**
+	 * Adds a report row for a log level.
+	 * @param {string} level - The log level name.
+	 */
+	addLevel(level) {
+		if (!this.reportData.hasOwnProperty(level)) {
+			this.reportData[level] = 0;
+			this.suppressedData[level] = 0;
+		}
 	}
 
 	incrementLogCount(level) {
@@ -16,7 +32,21 @@ class ReportGenerator {
 		}
 	}
 
-	generateReport() {
+	/**
+	 * Counts a suppressed line for a log level.
+	 * @param {string} level - The log level name.
+	 */
+	incrementSuppressedCount(level) {
+		if (this.suppressedData.hasOwnProperty(level)) {
+			this.suppressedData[level]++;
+		}
+	}
+
+	/**
+	 * Prints a table of the log method calls.
+	 * @param {Writable} [stream=process.stdout] - The stream to print the table to.
+	 */
+	generateReport(stream = process.stdout) {
 		const totalCalls = Object.values(this.reportData).reduce(
 			(acc, val) => acc + val,
 			0
@@ -24,40 +54,20 @@ class ReportGenerator {
 		const formatPercentage = (count) =>
 			totalCalls ? parseFloat(((count / totalCalls) * 100).toFixed(2)) : 0.0;
 
-		const reportTable = [
-			{
-				Method: "debug",
-				Calls: this.reportData.debug,
-				Percentage: formatPercentage(this.reportData.debug),
-			},
-			{
-				Method: "log",
-				Calls: this.reportData.log,
-				Percentage: formatPercentage(this.reportData.log),
-			},
-			{
-				Method: "info",
-				Calls: this.reportData.info,
-				Percentage: formatPercentage(this.reportData.info),
-			},
-			{
-				Method: "warn",
-				Calls: this.reportData.warn,
-				Percentage: formatPercentage(this.reportData.warn),
-			},
-			{
-				Method: "error",
-				Calls: this.reportData.error,
-				Percentage: formatPercentage(this.reportData.error),
-			},
-			{
-				Method: "fatal",
-				Calls: this.reportData.fatal,
-				Percentage: formatPercentage(this.reportData.fatal),
-			},
-		];
+		const reportTable = Object.keys(this.reportData).map((level) => ({
+			Method: level,
+			Calls: this.reportData[level],
+			Percentage: formatPercentage(this.reportData[level]),
+			Suppressed: this.suppressedData[level],
+		}));
+		const columns = ["Method", "Calls", "Percentage"];
+		if (this.includeSuppressed) {
+			columns.push("Suppressed");
+		}
 
-		console.table(reportTable, ["Method", "Calls", "Percentage"]);
+		const output =
+			stream === process.stdout ? console : new console.Console(stream);
+		output.table(reportTable, columns);
 	}
 }
 
@@ -1,6 +1,12 @@
+const { EventEmitter } = require("events");
+
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-class FileLogHandler {
+/**
+ * Writes log lines to a FileLogger directly or through a queue, depending on the mode.
+ * Emits `flush` with the number of `lines` each time a line or the queue is written.
+ */
+class FileLogHandler extends EventEmitter {
 	constructor(
 		fileLogger,
 		mode,
@@ -8,6 +14,7 @@ class FileLogHandler {
 		flushInterval = 1000,
 		errorHandler = console.error
 	) {
+		super();
 		this.fileLogger = fileLogger;
 		this.mode = mode;
 		this.queueBatchSize = queueBatchSize;
@@ -35,13 +42,14 @@ class FileLogHandler {
 	}
 
 	enqueueLog(message) {
-		if (this.isShuttingDown || this.isClosed) return;
+		if (this.isShuttingDown || this.isClosed) return false;
 
 		this.logQueue.push(message);
 
 		if (this.logQueue.length >= this.queueBatchSize) {
 			this.flushQueue();
 		}
+		return true;
 	}
 
 	async flushQueue() {
@@ -49,14 +57,21 @@ class FileLogHandler {
 		this.isFlushing = true;
 
 		try {
-			const logData = `${this.logQueue.join("")}\n`;
+			// JSON lines are already newline terminated, keep the file valid NDJSON
+			const logData =
+				this.fileLogger.outputFormat === "json"
+					? this.logQueue.join("")
+					: `${this.logQueue.join("")}\n`;
+			const lines = this.logQueue.length;
 
 			this.logQueue = [];
 
-			if (this.mode === "async" || this.mode === "async-queue") {
-				await this.writeToFileAsync(logData); // Ensure async writing completes
-			} else {
-				this.fileLogger.writeToFile(logData);
+			const written =
+				this.mode === "async" || this.mode === "async-queue"
+					? await this.writeToFileAsync(logData) // Ensure async writing completes
+					: this.fileLogger.writeToFile(logData);
+			if (written) {
+				this.emit("flush", { lines });
 			}
 		} catch (err) {
 			this.errorHandler(
@@ -81,8 +96,10 @@ class FileLogHandler {
 					}
 				});
 			});
+			return true;
 		} catch (err) {
 			this.errorHandler("writeToFileAsync: Failed to write to file", err);
+			return false;
 		}
 	}
 
@@ -98,17 +115,25 @@ class FileLogHandler {
 		this.isClosed = true;
 	}
 
+	/**
+	 * Write or queue a log line.
+	 * @param {string} message - The formatted log line.
+	 * @returns {boolean} - False if the line was dropped because the handler is closed.
+	 */
 	log(message) {
 		if (this.isClosed) {
-			return;
+			return false;
 		}
 		if (this.mode === "async") {
-			this.fileLogger.writeToFileAsync(message);
+			this.fileLogger.writeToFileAsync(message).then((written) => {
+				if (written) this.emit("flush", { lines: 1 });
+			});
 		} else if (this.mode === "async-queue") {
-			this.enqueueLog(message);
-		} else {
-			this.fileLogger.writeToFile(message);
+			return this.enqueueLog(message);
+		} else if (this.fileLogger.writeToFile(message)) {
+			this.emit("flush", { lines: 1 });
 		}
+		return true;
 	}
 }
 
@@ -3,6 +3,8 @@ const { EventEmitter } = require("events");
 
 /**
  * Class responsible for managing worker thread communication and handling log messages.
+ * Emits `rotate` when the worker rotates the log file, and `flush` with the number of `lines`
+ * written each time the worker has no pending messages left.
  */
 class WorkerHandler extends EventEmitter {
 	/**
@@ -22,6 +24,7 @@ class WorkerHandler extends EventEmitter {
 			path.join(__dirname, "../workers/logWorker.js");
 		this.worker = null;
 		this.pendingMessages = 0;
+		this.processedMessages = 0; // Messages processed since the last `flush` event
 		this.isClosed = false; // Properly set to true only after shutdown is complete
 		this.closeSignalSent = false; // Track if a close signal was already sent
 		this.debug = false;
@@ -52,30 +55,40 @@ class WorkerHandler extends EventEmitter {
 
 	/**
 	 * Handles incoming messages from the worker thread.
-	 * @param {string} msg - The message received from the worker.
+	 * @param {string|Object} msg - The message received from the worker.
 	 */
 	handleWorkerMessage(msg) {
 		if (msg === "processed") {
 			this.pendingMessages--;
+			this.processedMessages++;
 
-			if (this.pendingMessages === 0 && this.closeSignalSent) {
-				this.emit("drain");
+			if (this.pendingMessages === 0) {
+				this.emit("flush", { lines: this.processedMessages });
+				this.processedMessages = 0;
+
+				if (this.closeSignalSent) {
+					this.emit("drain");
+				}
 			}
 		} else if (msg === "closed") {
 			this.isClosed = true; // Update the flag when shutdown is acknowledged
 			this.emit("closed");
+		} else if (msg && msg.type === "rotate") {
+			this.emit("rotate", { file: msg.file, rotatedFile: msg.rotatedFile });
 		}
 	}
 
 	/**
 	 * Sends a log message to the worker thread.
 	 * @param {string} message - The log message to be sent to the worker.
+	 * @returns {boolean} - False if the message was dropped because the worker is closed.
 	 */
 	logToWorker(message) {
-		if (this.worker) {
-			this.pendingMessages++;
-			this.worker.postMessage(message);
-		}
+		if (!this.worker) return false;
+
+		this.pendingMessages++;
+		this.worker.postMessage(message);
+		return true;
 	}
 
 	/**
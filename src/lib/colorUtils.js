@@ -0,0 +1,175 @@
+// lib/colorUtils.js
+
+/**
+ * Utility functions for terminal color support.
+ * @module colorUtils
+ */
+
+const { COLORS } = require("./constants");
+
+/**
+ * Color levels, from no colors to 24-bit colors.
+ */
+const COLOR_LEVELS = {
+	NONE: 0,
+	BASIC: 1, // 16 colors
+	ANSI256: 2,
+	TRUECOLOR: 3,
+};
+
+// RGB values of the 16 basic colors, used to downsample to the closest one
+const BASIC_PALETTE = [
+	[0, 0, 0, 30],
+	[205, 0, 0, 31],
+	[0, 205, 0, 32],
+	[205, 205, 0, 33],
+	[0, 0, 238, 34],
+	[205, 0, 205, 35],
+	[0, 205, 205, 36],
+	[229, 229, 229, 37],
+	[127, 127, 127, 90],
+	[255, 0, 0, 91],
+	[0, 255, 0, 92],
+	[255, 255, 0, 93],
+	[92, 92, 255, 94],
+	[255, 0, 255, 95],
+	[0, 255, 255, 96],
+	[255, 255, 255, 97],
+];
+
+/**
+ * Detect the color level supported by a stream.
+ * `FORCE_COLOR` wins over everything else, then `NO_COLOR`, a non-TTY stream, and `TERM=dumb` disable colors.
+ * @param {Object} [stream=process.stdout] - The output stream.
+ * @param {Object} [env=process.env] - The environment variables.
+ * @returns {number} - The color level (0 = none, 1 = 16 colors, 2 = 256 colors, 3 = truecolor).
+ */
+function detectColorLevel(stream = process.stdout, env = process.env) {
+	if (env.FORCE_COLOR !== undefined) {
+		switch (env.FORCE_COLOR) {
+			case "0":
+			case "false":
+				return COLOR_LEVELS.NONE;
+			case "2":
+				return COLOR_LEVELS.ANSI256;
+			case "3":
+				return COLOR_LEVELS.TRUECOLOR;
+			default:
+				return COLOR_LEVELS.BASIC;
+		}
+	}
+
+	if (env.NO_COLOR) return COLOR_LEVELS.NONE;
+	if (!stream || !stream.isTTY) return COLOR_LEVELS.NONE;
+	if (env.TERM === "dumb") return COLOR_LEVELS.NONE;
+
+	if (env.COLORTERM === "truecolor" || env.COLORTERM === "24bit") {
+		return COLOR_LEVELS.TRUECOLOR;
+	}
+	if (process.platform === "win32") return COLOR_LEVELS.TRUECOLOR;
+	if (/-256(color)?$/i.test(env.TERM || "")) return COLOR_LEVELS.ANSI256;
+
+	return COLOR_LEVELS.BASIC;
+}
+
+/**
+ * Parse a hex (`#ff8800`, `#f80`) or `rgb(255, 136, 0)` color.
+ * @param {string} value - The color value.
+ * @returns {Array<number>|null} - The red, green, and blue values, or null if the value is not a hex or rgb color.
+ */
+function parseRgb(value) {
+	let match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+	if (match) {
+		const hex =
+			match[1].length === 3
+				? match[1].replace(/./g, (digit) => digit + digit)
+				: match[1];
+		return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+	}
+
+	match = /^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/i.exec(
+		value
+	);
+	if (match) {
+		return match.slice(1, 4).map((channel) => Math.min(255, Number(channel)));
+	}
+
+	return null;
+}
+
+/**
+ * Convert an RGB color to the closest color of the 256 color palette.
+ * @param {Array<number>} rgb - The red, green, and blue values.
+ * @returns {number} - The palette index.
+ */
+function rgbToAnsi256([red, green, blue]) {
+	// Use the grayscale ramp for grays
+	if (red === green && green === blue) {
+		if (red < 8) return 16;
+		if (red > 248) return 231;
+		return Math.round(((red - 8) / 247) * 24) + 232;
+	}
+
+	const toCube = (channel) => Math.round((channel / 255) * 5);
+	return 16 + 36 * toCube(red) + 6 * toCube(green) + toCube(blue);
+}
+
+/**
+ * Convert an RGB color to the SGR code of the closest basic color.
+ * @param {Array<number>} rgb - The red, green, and blue values.
+ * @returns {number} - The foreground SGR code (30-37 or 90-97).
+ */
+function rgbToAnsi16(rgb) {
+	let closest = BASIC_PALETTE[0];
+	let closestDistance = Infinity;
+
+	for (const color of BASIC_PALETTE) {
+		const distance =
+			(color[0] - rgb[0]) ** 2 +
+			(color[1] - rgb[1]) ** 2 +
+			(color[2] - rgb[2]) ** 2;
+		if (distance < closestDistance) {
+			closest = color;
+			closestDistance = distance;
+		}
+	}
+
+	return closest[3];
+}
+
+/**
+ * Resolve a configured color to an escape code for the given color level.
+ * Accepts raw escape codes, `COLORS` names (e.g. "LIGHT_BLUE"), hex colors, and `rgb()` colors.
+ * Hex and rgb colors are downsampled to the closest color the terminal supports.
+ * @param {string} value - The configured color.
+ * @param {number} colorLevel - The supported color level.
+ * @returns {string} - The escape code, or an empty string when colors are disabled.
+ * @throws {Error} Throws an error if the color is not recognized.
+ */
+function toAnsiColor(value, colorLevel) {
+	if (!value) return "";
+
+	const isEscapeCode = value.startsWith("\u001b") || Boolean(COLORS[value]);
+	const rgb = isEscapeCode ? null : parseRgb(value);
+	if (!isEscapeCode && !rgb) {
+		throw new Error(`ACL Color Error: Unsupported color '${value}'.`);
+	}
+
+	if (colorLevel === COLOR_LEVELS.NONE) return "";
+	if (isEscapeCode) return COLORS[value] || value;
+
+	switch (colorLevel) {
+		case COLOR_LEVELS.TRUECOLOR:
+			return `\u001b[38;2;${rgb.join(";")}m`;
+		case COLOR_LEVELS.ANSI256:
+			return `\u001b[38;5;${rgbToAnsi256(rgb)}m`;
+		default:
+			return `\u001b[${rgbToAnsi16(rgb)}m`;
+	}
+}
+
+module.exports = {
+	COLOR_LEVELS,
+	detectColorLevel,
+	toAnsiColor,
+};
@@ -8,6 +8,7 @@ const COLORS = {
 	LIGHT_GREEN: "\u001b[92m", // For INFO
 	GREEN: "\u001b[32m", // For LOG
 	LIGHT_BLUE: "\u001b[94m", // For timestamps
+	BLUE: "\u001b[34m", // Blue
 	YELLOW: "\x1b[33m", // For WARN
 	LIGHT_RED: "\u001b[91m", // For ERROR
 	RED: "\u001b[31m", // For memory usage
@@ -18,8 +19,72 @@ const COLORS = {
 	LIGHT_GRAY: "\u001b[37m", // Light grey
 	DARK_GRAY: "\u001b[90m", // Dark grey
 	WHITE: "\u001b[97m", // White
+	BLACK: "\u001b[30m", // Black
 	ORANGE: "\u001b[93m", // Bright yellow (approximation for orange)
 	RESET: "\u001b[0m", // Reset color
 };
 
-module.exports = { COLORS };
+/**
+ * Built-in log levels.
+ * `severity` is the level reported in output (0 = debug, 5 = fatal) and compared by transports.
+ * `threshold` is compared against the `logLevel` and `outputFileLogLevel` options.
+ */
+const LOG_LEVELS = {
+	debug: { severity: 0, threshold: 1, color: COLORS.CYAN },
+	log: { severity: 1, threshold: 1, color: COLORS.GREEN },
+	info: { severity: 2, threshold: 1, color: COLORS.LIGHT_GREEN },
+	warn: { severity: 3, threshold: 2, color: COLORS.YELLOW },
+	error: { severity: 4, threshold: 3, color: COLORS.LIGHT_RED },
+	fatal: { severity: 5, threshold: 3, color: COLORS.MAGENTA },
+};
+
+/**
+ * Built-in color themes, selected with the `theme` option.
+ * Covers the level colors and the timestamp, memory, caller, inline caller, position, and context colors.
+ */
+const THEMES = {
+	dark: {
+		timestamp: COLORS.LIGHT_BLUE,
+		memory: COLORS.WHITE,
+		caller: COLORS.LIGHT_MAGENTA,
+		inlineCaller: COLORS.LIGHT_CYAN,
+		position: COLORS.CYAN,
+		context: COLORS.DARK_GRAY,
+		debug: COLORS.CYAN,
+		log: COLORS.GREEN,
+		info: COLORS.LIGHT_GREEN,
+		warn: COLORS.YELLOW,
+		error: COLORS.LIGHT_RED,
+		fatal: COLORS.MAGENTA,
+	},
+	light: {
+		timestamp: COLORS.BLUE,
+		memory: COLORS.BLACK,
+		caller: COLORS.MAGENTA,
+		inlineCaller: COLORS.CYAN,
+		position: COLORS.BLUE,
+		context: COLORS.DARK_GRAY,
+		debug: COLORS.CYAN,
+		log: COLORS.BLACK,
+		info: COLORS.GREEN,
+		warn: COLORS.YELLOW,
+		error: COLORS.RED,
+		fatal: COLORS.MAGENTA,
+	},
+	"high-contrast": {
+		timestamp: "\u001b[1;97m", // Bold white
+		memory: "\u001b[1;97m", // Bold white
+		caller: "\u001b[1;95m", // Bold light magenta
+		inlineCaller: "\u001b[1;96m", // Bold light cyan
+		position: "\u001b[1;93m", // Bold bright yellow
+		context: COLORS.WHITE,
+		debug: "\u001b[1;96m", // Bold light cyan
+		log: "\u001b[1;97m", // Bold white
+		info: "\u001b[1;92m", // Bold light green
+		warn: "\u001b[1;93m", // Bold bright yellow
+		error: "\u001b[1;91m", // Bold light red
+		fatal: "\u001b[1;97;41m", // Bold white on red
+	},
+};
+
+module.exports = { COLORS, LOG_LEVELS, THEMES };
@@ -0,0 +1,218 @@
+// lib/errorUtils.js
+
+/**
+ * Utility functions for rendering and serializing errors.
+ * @module errorUtils
+ */
+
+const util = require("util");
+
+// Properties rendered separately from the custom properties of an error
+const STANDARD_ERROR_KEYS = new Set([
+	"name",
+	"message",
+	"stack",
+	"cause",
+	"errors",
+]);
+
+/**
+ * Split an error stack into its header (name and message) and its frames.
+ * @param {Error} error - The error.
+ * @returns {Object} - The `header` string and the `frames` array (trimmed `at ...` lines).
+ */
+function splitStack(error) {
+	const stack =
+		typeof error.stack === "string"
+			? error.stack
+			: `${error.name}: ${error.message}`;
+	const lines = stack.split("\n");
+	const firstFrame = lines.findIndex((line) => /^\s+at /.test(line));
+
+	if (firstFrame === -1) {
+		return { header: stack, frames: [] };
+	}
+	return {
+		header: lines.slice(0, firstFrame).join("\n"),
+		frames: lines.slice(firstFrame).map((line) => line.trim()),
+	};
+}
+
+/**
+ * Get the enumerable custom properties of an error, such as `code`, `statusCode`, or `errno`.
+ * @param {Error} error - The error.
+ * @returns {Object|null} - The custom properties, or null if there are none.
+ */
+function getCustomProperties(error) {
+	const keys = Object.keys(error).filter(
+		(key) => !STANDARD_ERROR_KEYS.has(key)
+	);
+	if (keys.length === 0) return null;
+
+	const properties = {};
+	for (const key of keys) {
+		properties[key] = error[key];
+	}
+	return properties;
+}
+
+/**
+ * Convert an error into a plain object for file and JSON output.
+ * Includes the custom properties, the `cause` chain, and the `errors` of an `AggregateError`.
+ * @param {Error} error - The error to serialize.
+ * @param {Function} [convert] - Converts nested non-error values, e.g. `toJsonValue`.
+ * @param {Set} [seen] - Errors already visited, to stop circular cause chains.
+ * @returns {Object} - The serialized error.
+ */
+function serializeError(error, convert = (value) => value, seen = new Set()) {
+	if (seen.has(error)) return "[Circular]";
+	seen.add(error);
+
+	const result = {
+		name: error.name,
+		message: error.message,
+		stack: error.stack,
+	};
+
+	const properties = getCustomProperties(error);
+	if (properties) {
+		for (const key of Object.keys(properties)) {
+			result[key] = convert(properties[key]);
+		}
+	}
+
+	if (error.cause !== undefined) {
+		result.cause =
+			error.cause instanceof Error
+				? serializeError(error.cause, convert, seen)
+				: convert(error.cause);
+	}
+
+	if (Array.isArray(error.errors)) {
+		result.errors = error.errors.map((item) =>
+			item instanceof Error
+				? serializeError(item, convert, seen)
+				: convert(item)
+		);
+	}
+
+	seen.delete(error);
+	return result;
+}
+
+/**
+ * Render an error as text, similar to `util.inspect` but with de-duplicated frames.
+ * Frames that a cause shares with the error that wraps it are replaced by `... N more`.
+ * @param {Error} error - The error to render.
+ * @param {Object} [options] - Rendering options.
+ * @param {boolean} [options.colors=false] - Use colors for custom properties.
+ * @param {string} [options.indent=""] - Indentation of nested errors.
+ * @param {Array<string>} [options.parentFrames=[]] - Frames of the wrapping error.
+ * @param {Set} [options.seen] - Errors already visited, to stop circular cause chains.
+ * @returns {string} - The rendered error.
+ */
+function formatError(
+	error,
+	{ colors = false, indent = "", parentFrames = [], seen = new Set() } = {}
+) {
+	if (seen.has(error)) return "[Circular]";
+	seen.add(error);
+
+	const { header, frames } = splitStack(error);
+	const properties = getCustomProperties(error);
+	let output = `${header}${
+		properties
+			? ` ${util.inspect(properties, {
+					colors,
+					depth: 2,
+					breakLength: Infinity,
+			  })}`
+			: ""
+	}`;
+
+	// Count the frames at the bottom of the stack that are shared with the wrapping error
+	let shared = 0;
+	while (
+		shared < frames.length &&
+		shared < parentFrames.length &&
+		frames[frames.length - 1 - shared] ===
+			parentFrames[parentFrames.length - 1 - shared]
+	) {
+		shared++;
+	}
+
+	const frameIndent = `${indent}    `;
+	for (const frame of frames.slice(0, frames.length - shared)) {
+		output += `\n${frameIndent}${frame}`;
+	}
+	if (shared > 0) {
+		output += `\n${frameIndent}... ${shared} more`;
+	}
+
+	const nested = { colors, indent: `${indent}  `, parentFrames: frames, seen };
+	if (error.cause !== undefined) {
+		output += `\n${indent}  [cause]: ${
+			error.cause instanceof Error
+				? formatError(error.cause, nested)
+				: util.inspect(error.cause, { colors, depth: 2 })
+		}`;
+	}
+	if (Array.isArray(error.errors)) {
+		error.errors.forEach((item, index) => {
+			output += `\n${indent}  [errors][${index}]: ${
+				item instanceof Error
+					? formatError(item, nested)
+					: util.inspect(item, { colors, depth: 2 })
+			}`;
+		});
+	}
+
+	seen.delete(error);
+	return output;
+}
+
+/**
+ * Collect the stack frames of errors, including their causes and aggregated errors.
+ * @param {Array} values - Values that may be errors.
+ * @returns {Set<string>} - The trimmed `at ...` lines.
+ */
+function collectErrorFrames(values) {
+	const frames = new Set();
+	const visit = (error, seen) => {
+		if (!(error instanceof Error) || seen.has(error)) return;
+		seen.add(error);
+
+		splitStack(error).frames.forEach((frame) => frames.add(frame));
+		visit(error.cause, seen);
+		if (Array.isArray(error.errors)) {
+			error.errors.forEach((item) => visit(item, seen));
+		}
+	};
+
+	const seen = new Set();
+	values.forEach((value) => visit(value, seen));
+	return frames;
+}
+
+/**
+ * Remove the frames that are already shown by logged errors from a captured stack trace.
+ * @param {string} stack - The captured stack trace.
+ * @param {Set<string>} knownFrames - Frames from `collectErrorFrames`.
+ * @returns {string} - The remaining stack trace, or an empty string if every frame is already shown.
+ */
+function removeKnownFrames(stack, knownFrames) {
+	if (knownFrames.size === 0) return stack;
+
+	const { header, frames } = splitStack({ stack });
+	const remaining = frames.filter((frame) => !knownFrames.has(frame));
+	if (remaining.length === 0) return "";
+
+	return [header, ...remaining.map((frame) => `    ${frame}`)].join("\n");
+}
+
+module.exports = {
+	serializeError,
+	formatError,
+	collectErrorFrames,
+	removeKnownFrames,
+};
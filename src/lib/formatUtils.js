@@ -6,17 +6,27 @@
  */
 
 const util = require("util");
+const { formatError } = require("./errorUtils");
 
 /**
  * Format arguments for logging.
  * @param {Array} args - The arguments to format.
+ * @param {string} reset - Escape code inserted before inspected objects.
+ * @param {boolean} [colors=true] - Use colors for inspected objects.
  * @returns {Array<string>} - The formatted arguments.
  */
-function formatArgs(args, reset) {
+function formatArgs(args, reset, colors = true) {
 	let firstObjectEncountered = false; // Flag to track if we've found the first object
 	let firstArgument = true; // Flag to track if we are processing the first argument
 
 	return args.map((arg) => {
+		// Errors are rendered with their causes and custom properties, without the object prefix
+		if (arg instanceof Error) {
+			firstObjectEncountered = true;
+			firstArgument = false;
+			return `${reset}${formatError(arg, { colors })}`;
+		}
+
 		if (typeof arg === "object" && arg !== null) {
 			// Determine if this is the first object or the first argument that is an object
 			const prefix = !firstObjectEncountered && firstArgument ? "Object: " : "";
@@ -27,7 +37,7 @@ function formatArgs(args, reset) {
 			return `${prefix}${reset}${util.inspect(arg, {
 				showHidden: false,
 				depth: null,
-				colors: true,
+				colors,
 				maxArrayLength: null,
 				compact: false,
 			})}`;
@@ -39,16 +49,80 @@ function formatArgs(args, reset) {
 	});
 }
 
+/**
+ * Apply `console.log` compatible format specifiers to the first argument, if it is a string.
+ * Supports `%s`, `%d`, `%i`, `%f`, `%j`, `%o`, `%O`, `%c` (ignored), and `%%`.
+ * As with `console.log`, a lone string is returned unchanged and specifiers without a matching argument are kept.
+ * @param {Array} args - The log arguments.
+ * @param {boolean} [colors=false] - Use colors for `%o` and `%O`.
+ * @returns {Array} - The substituted message followed by the arguments that were not consumed.
+ */
+function applyFormatSpecifiers(args, colors = false) {
+	const [format, ...rest] = args;
+	if (
+		typeof format !== "string" ||
+		rest.length === 0 ||
+		!format.includes("%")
+	) {
+		return args;
+	}
+
+	let index = 0;
+	const message = format.replace(/%([sdifjoOc%])/g, (match, specifier) => {
+		if (specifier === "%") return "%";
+		if (index >= rest.length) return match;
+
+		const arg = rest[index++];
+		if (specifier === "c") return ""; // CSS is not supported in the terminal
+		return util.formatWithOptions({ colors }, `%${specifier}`, arg);
+	});
+
+	return [message, ...rest.slice(index)];
+}
+
+/**
+ * Format context fields as space separated `key=value` pairs.
+ * @param {Object} fields - The context fields.
+ * @returns {string} - The formatted fields, or an empty string if there are none.
+ */
+function formatContext(fields) {
+	if (!fields) return "";
+
+	return Object.keys(fields)
+		.map((key) => {
+			const value = fields[key];
+			return `${key}=${
+				typeof value === "object" && value !== null
+					? JSON.stringify(value)
+					: String(value)
+			}`;
+		})
+		.join(" ");
+}
+
+/**
+ * Indent every non-empty line of a string, e.g. for `group()` output.
+ * @param {string} str - The string to indent.
+ * @param {string} indent - The indentation.
+ * @returns {string} - The indented string.
+ */
+function indentLines(str, indent) {
+	return indent ? str.replace(/^(?!$)/gm, indent) : str;
+}
+
 /**
  * Strip ANSI color codes from a string.
  * @param {string} str - The string to strip.
  * @returns {string} - The string without ANSI codes.
  */
 function stripAnsiCodes(str) {
-	return str.replace(/\u001b\[[0-9]{1,2}m/g, "");
+	return str.replace(/\u001b\[[0-9;]*m/g, "");
 }
 
 module.exports = {
+	applyFormatSpecifiers,
 	formatArgs,
+	formatContext,
+	indentLines,
 	stripAnsiCodes,
 };
@@ -0,0 +1,73 @@
+// lib/jsonUtils.js
+
+/**
+ * Utility functions for structured (JSON) log output.
+ * @module jsonUtils
+ */
+
+const { serializeError } = require("./errorUtils");
+
+/**
+ * Convert a value into something that can be safely passed to JSON.stringify.
+ * Handles circular references, Errors (with causes), BigInts, functions and symbols.
+ * @param {any} value - The value to convert.
+ * @param {WeakSet} [seen] - Objects already visited on the current path.
+ * @returns {any} - A JSON compatible representation of the value.
+ */
+function toJsonValue(value, seen = new WeakSet()) {
+	if (typeof value === "bigint") return value.toString();
+	if (typeof value === "function") {
+		return `[Function: ${value.name || "anonymous"}]`;
+	}
+	if (typeof value === "symbol") return value.toString();
+	if (typeof value !== "object" || value === null) return value;
+
+	if (seen.has(value)) return "[Circular]";
+	seen.add(value);
+
+	let result;
+	if (value instanceof Error) {
+		result = serializeError(value, (item) => toJsonValue(item, seen));
+	} else if (value instanceof Date) {
+		result = value.toISOString();
+	} else if (value instanceof Map) {
+		result = toJsonValue(Object.fromEntries(value), seen);
+	} else if (value instanceof Set) {
+		result = toJsonValue(Array.from(value), seen);
+	} else if (Array.isArray(value)) {
+		result = value.map((item) => toJsonValue(item, seen));
+	} else if (typeof value.toJSON === "function") {
+		result = toJsonValue(value.toJSON(), seen);
+	} else {
+		result = {};
+		for (const key of Object.keys(value)) {
+			const converted = toJsonValue(value[key], seen);
+			if (converted !== undefined) {
+				result[key] = converted;
+			}
+		}
+	}
+
+	seen.delete(value);
+	return result;
+}
+
+/**
+ * Stringify a value as a single line of JSON without throwing.
+ * @param {any} value - The value to stringify.
+ * @returns {string} - The JSON string.
+ */
+function safeStringify(value) {
+	try {
+		return JSON.stringify(toJsonValue(value));
+	} catch (err) {
+		return JSON.stringify({
+			msg: `Unable to serialize log record: ${err.message}`,
+		});
+	}
+}
+
+module.exports = {
+	toJsonValue,
+	safeStringify,
+};
@@ -47,10 +47,11 @@ function getMemoryUsagePercentage(totalHeapSizeLimit) {
 /**
  * Get the memory usage color based on the percentage of available memory.
  * @param {number} freePercentage - The percentage of free memory.
+ * @param {string} [healthyColor=COLORS.WHITE] - The color used while plenty of memory is free.
  * @returns {string} - The color code for the memory usage.
  */
-function getMemoryUsageColor(freePercentage) {
-	if (freePercentage >= 80) return COLORS.WHITE;
+function getMemoryUsageColor(freePercentage, healthyColor = COLORS.WHITE) {
+	if (freePercentage >= 80) return healthyColor;
 	if (freePercentage >= 70) return COLORS.YELLOW;
 	if (freePercentage >= 60) return COLORS.ORANGE;
 	if (freePercentage >= 50) return COLORS.LIGHT_RED;
@@ -62,27 +63,56 @@ function getMemoryUsageColor(freePercentage) {
  * Get the formatted memory usage based on the memory display mode.
  * @param {number} totalHeapSizeLimit - The total heap size limit.
  * @param {number} memoryDisplayMode - The display mode for memory usage.
+ * @param {string} [frameColor=COLORS.WHITE] - The color of the brackets and healthy values.
+ * @param {boolean} [colors=true] - Whether to include color codes.
  * @returns {string} - The formatted memory usage.
  */
-function getFormattedMemoryUsage(totalHeapSizeLimit, memoryDisplayMode) {
+function getFormattedMemoryUsage(
+	totalHeapSizeLimit,
+	memoryDisplayMode,
+	frameColor = COLORS.WHITE,
+	colors = true
+) {
 	const memoryInMB = getMemoryUsage(totalHeapSizeLimit);
 	const memoryInPercent = getMemoryUsagePercentage(totalHeapSizeLimit);
 	const freePercentage = parseFloat(memoryInPercent);
-	const color = getMemoryUsageColor(freePercentage);
+	const color = colors ? getMemoryUsageColor(freePercentage, frameColor) : "";
+	const frame = colors ? frameColor : "";
+	const reset = colors ? COLORS.RESET : "";
 
 	switch (memoryDisplayMode) {
 		case 1:
-			return `${COLORS.WHITE}[${color}${memoryInMB} MB Free${COLORS.WHITE}]${COLORS.RESET} `;
+			return `${frame}[${color}${memoryInMB} MB Free${frame}]${reset} `;
 		case 2:
-			return `${COLORS.WHITE}[${color}${memoryInPercent}% Free${COLORS.WHITE}]${COLORS.RESET} `;
+			return `${frame}[${color}${memoryInPercent}% Free${frame}]${reset} `;
 		case 3:
-			return `${COLORS.WHITE}[${color}${memoryInMB} MB Free / ${memoryInPercent}% Free${COLORS.WHITE}]${COLORS.RESET} `;
+			return `${frame}[${color}${memoryInMB} MB Free / ${memoryInPercent}% Free${frame}]${reset} `;
 		default:
 			return "";
 	}
 }
 
+/**
+ * Get a structured snapshot of the current memory usage.
+ * @param {number} totalHeapSizeLimit - The total heap size limit.
+ * @returns {Object} - Memory usage figures in bytes plus the free heap percentage.
+ */
+function getMemorySnapshot(totalHeapSizeLimit) {
+	const { rss, heapTotal, heapUsed, external } = process.memoryUsage();
+	return {
+		rss,
+		heapTotal,
+		heapUsed,
+		external,
+		heapSizeLimit: totalHeapSizeLimit,
+		heapFreePercentage: parseFloat(
+			(((totalHeapSizeLimit - heapUsed) / totalHeapSizeLimit) * 100).toFixed(2)
+		),
+	};
+}
+
 module.exports = {
 	getTotalHeapSizeLimit,
 	getFormattedMemoryUsage,
+	getMemorySnapshot,
 };
@@ -0,0 +1,106 @@
+// lib/namespaceUtils.js
+
+/**
+ * Utility functions for namespaced loggers.
+ * @module namespaceUtils
+ */
+
+const { COLORS } = require("./constants");
+
+// Colors assigned to namespaces, picked by a hash of the namespace so they are stable across runs
+const NAMESPACE_COLORS = [
+	COLORS.CYAN,
+	COLORS.GREEN,
+	COLORS.YELLOW,
+	COLORS.BLUE,
+	COLORS.MAGENTA,
+	COLORS.LIGHT_CYAN,
+	COLORS.LIGHT_GREEN,
+	COLORS.ORANGE,
+	COLORS.LIGHT_BLUE,
+	COLORS.LIGHT_MAGENTA,
+];
+const NAMESPACE_COLORS_256 = [
+	20, 21, 26, 27, 32, 33, 38, 39, 40, 41, 42, 43, 44, 45, 56, 57, 62, 63, 68,
+	69, 74, 75, 76, 77, 78, 79, 80, 81, 92, 93, 98, 99, 112, 113, 128, 129, 134,
+	135, 148, 149, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
+	172, 173, 178, 179, 184, 185, 196, 197, 198, 199, 200, 201, 202, 203, 204,
+	205, 206, 207, 208, 209, 214, 215, 220, 221,
+];
+
+/**
+ * Parse a namespace pattern list such as `db:*,-db:verbose,http=warn`.
+ * `pattern` enables every level, `-pattern` excludes a namespace, and `pattern=level` sets a level (number or name).
+ * `*` matches any characters, including `:`.
+ * @param {string|Array<string>} spec - Comma or space separated patterns, or an array of patterns.
+ * @returns {Array<Object>} - The parsed patterns, with `source`, `regex`, `exclude`, and `level` (null if not set).
+ */
+function parseNamespacePatterns(spec) {
+	if (!spec) return [];
+	const patterns = Array.isArray(spec) ? spec : String(spec).split(/[\s,]+/);
+
+	return patterns
+		.filter((source) => source)
+		.map((source) => {
+			const exclude = source.startsWith("-");
+			const [name, level = null] = (exclude ? source.slice(1) : source).split(
+				"="
+			);
+			const regex = new RegExp(
+				`^${name
+					.split("*")
+					.map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+					.join(".*")}$`
+			);
+
+			return {
+				source,
+				regex,
+				exclude,
+				level: level !== null && /^-?\d+$/.test(level) ? Number(level) : level,
+			};
+		});
+}
+
+/**
+ * Find the pattern that applies to a namespace. The last matching pattern wins.
+ * @param {Array<Object>} patterns - Patterns from `parseNamespacePatterns`.
+ * @param {string} namespace - The namespace, e.g. "db:pool".
+ * @returns {Object|null} - The matching pattern, or null if no pattern matches.
+ */
+function matchNamespace(patterns, namespace) {
+	let match = null;
+	for (const pattern of patterns) {
+		if (pattern.regex.test(namespace)) {
+			match = pattern;
+		}
+	}
+	return match;
+}
+
+/**
+ * Get the stable console color of a namespace.
+ * @param {string} namespace - The namespace.
+ * @param {number} colorLevel - The supported color level (0 = none, 1 = 16, 2 = 256, 3 = truecolor).
+ * @returns {string} - The escape code, or an empty string when colors are disabled.
+ */
+function getNamespaceColor(namespace, colorLevel) {
+	if (!colorLevel) return "";
+
+	let hash = 0;
+	for (let i = 0; i < namespace.length; i++) {
+		hash = (hash << 5) - hash + namespace.charCodeAt(i);
+		hash |= 0; // Convert to a 32-bit integer
+	}
+	hash = Math.abs(hash);
+
+	return colorLevel >= 2
+		? `\u001b[38;5;${NAMESPACE_COLORS_256[hash % NAMESPACE_COLORS_256.length]}m`
+		: NAMESPACE_COLORS[hash % NAMESPACE_COLORS.length];
+}
+
+module.exports = {
+	parseNamespacePatterns,
+	matchNamespace,
+	getNamespaceColor,
+};
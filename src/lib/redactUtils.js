@@ -0,0 +1,181 @@
+// lib/redactUtils.js
+
+/**
+ * Utility functions for redacting sensitive data before it is logged.
+ * @module redactUtils
+ */
+
+/**
+ * Built-in patterns that can be referenced by name in the `patterns` option.
+ */
+const REDACT_PATTERNS = {
+	creditCard: /\b(?:\d[ -]?){12,18}\d\b/g,
+	email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+	bearerToken: /\bBearer\s+[\w\-.~+/]+=*/gi,
+};
+
+/**
+ * Check whether a key path matches a redaction path.
+ * `*` matches exactly one key and `**` matches any number of keys.
+ * @param {Array<string>} pattern - The redaction path segments.
+ * @param {Array<string>} keys - The key path of the current value.
+ * @param {number} [i=0] - Current index in the pattern.
+ * @param {number} [j=0] - Current index in the key path.
+ * @returns {boolean} - Whether the key path matches.
+ */
+function matchPath(pattern, keys, i = 0, j = 0) {
+	if (i === pattern.length) return j === keys.length;
+	if (pattern[i] === "**") {
+		for (let k = j; k <= keys.length; k++) {
+			if (matchPath(pattern, keys, i + 1, k)) return true;
+		}
+		return false;
+	}
+	if (j === keys.length) return false;
+	if (pattern[i] !== "*" && pattern[i] !== keys[j]) return false;
+	return matchPath(pattern, keys, i + 1, j + 1);
+}
+
+/**
+ * Create a shallow copy of an object that keeps its prototype and non-enumerable properties.
+ * @param {Object} value - The object to copy.
+ * @returns {Object} - The copy.
+ */
+function copyObject(value) {
+	if (Array.isArray(value)) return value.slice();
+	return Object.create(
+		Object.getPrototypeOf(value),
+		Object.getOwnPropertyDescriptors(value)
+	);
+}
+
+/**
+ * Create a redactor function for log arguments.
+ * Values are never modified in place: changed objects are copied.
+ * @param {Object|Array} options - Redaction options, or an array of paths (strings) and patterns (RegExps).
+ * @param {Array<string>} [options.paths] - Key paths to redact, e.g. `req.headers.authorization` or `*.password`.
+ * @param {Array<RegExp|string>} [options.patterns] - Patterns to redact in strings, or names of `REDACT_PATTERNS`.
+ * @param {string} [options.censor="[REDACTED]"] - Replacement for redacted values.
+ * @param {boolean} [options.remove=false] - Remove matching keys and text instead of masking them.
+ * @returns {Function} - A function that takes an array of values and returns the redacted values.
+ */
+function createRedactor(options) {
+	const {
+		paths = [],
+		patterns = [],
+		censor = "[REDACTED]",
+		remove = false,
+	} = Array.isArray(options)
+		? {
+				paths: options.filter((item) => typeof item === "string"),
+				patterns: options.filter((item) => item instanceof RegExp),
+		  }
+		: options;
+
+	const compiledPaths = paths.map((item) => item.split("."));
+	const compiledPatterns = patterns.map((pattern) => {
+		if (typeof pattern === "string") {
+			if (!REDACT_PATTERNS[pattern]) {
+				throw new Error(`ACL Redact Error: Unknown pattern '${pattern}'.`);
+			}
+			return REDACT_PATTERNS[pattern];
+		}
+		// Global flag is required to replace every match
+		return pattern.global
+			? pattern
+			: new RegExp(pattern.source, `${pattern.flags}g`);
+	});
+	const replacement = remove ? "" : censor;
+
+	const redactString = (str) =>
+		compiledPatterns.reduce(
+			(result, pattern) => result.replace(pattern, replacement),
+			str
+		);
+
+	const isPathRedacted = (keys) =>
+		compiledPaths.some((pattern) => matchPath(pattern, keys));
+
+	const redactValue = (value, keys, seen) => {
+		if (typeof value === "string") return redactString(value);
+		if (typeof value !== "object" || value === null) return value;
+		if (seen.has(value) || value instanceof Date || ArrayBuffer.isView(value)) {
+			return value;
+		}
+		if (value instanceof Map || value instanceof Set) {
+			return redactCollection(value, keys, seen);
+		}
+
+		seen.add(value);
+		let copy = null;
+
+		if (value instanceof Error) {
+			const message = redactString(value.message);
+			const stack = value.stack && redactString(value.stack);
+			if (message !== value.message || stack !== value.stack) {
+				copy = copyObject(value);
+				copy.message = message;
+				copy.stack = stack;
+			}
+		}
+
+		for (const key of Object.keys(value)) {
+			const childKeys = [...keys, key];
+			if (isPathRedacted(childKeys)) {
+				copy = copy || copyObject(value);
+				if (remove && !Array.isArray(copy)) {
+					delete copy[key];
+				} else {
+					copy[key] = censor;
+				}
+				continue;
+			}
+
+			const redacted = redactValue(value[key], childKeys, seen);
+			if (redacted !== value[key]) {
+				copy = copy || copyObject(value);
+				copy[key] = redacted;
+			}
+		}
+
+		seen.delete(value);
+		return copy || value;
+	};
+
+	// Map values are redacted by key and Set entries like array items, by index
+	const redactCollection = (value, keys, seen) => {
+		seen.add(value);
+		const isMap = value instanceof Map;
+		const entries = isMap ? [...value] : [...value].map((item, i) => [i, item]);
+		const redactedEntries = [];
+		let changed = false;
+
+		for (const [key, item] of entries) {
+			const childKeys = [...keys, String(key)];
+			if (isPathRedacted(childKeys)) {
+				changed = true;
+				if (!(remove && isMap)) {
+					redactedEntries.push([key, censor]);
+				}
+				continue;
+			}
+
+			const redacted = redactValue(item, childKeys, seen);
+			changed = changed || redacted !== item;
+			redactedEntries.push([key, redacted]);
+		}
+
+		seen.delete(value);
+		if (!changed) return value;
+		return isMap
+			? new Map(redactedEntries)
+			: new Set(redactedEntries.map(([, item]) => item));
+	};
+
+	return (values) => values.map((value) => redactValue(value, [], new Set()));
+}
+
+module.exports = {
+	REDACT_PATTERNS,
+	createRedactor,
+};
@@ -0,0 +1,115 @@
+// lib/sourceMapUtils.js
+
+/**
+ * Utility functions for resolving generated positions through source maps.
+ * @module sourceMapUtils
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { SourceMap } = require("module");
+const { fileURLToPath } = require("url");
+
+// Parsed source maps by generated file, null when a file has no usable source map
+const sourceMaps = new Map();
+
+/**
+ * Convert a `file://` URL to a path, and leave other paths unchanged.
+ * @param {string} file - The file path or URL.
+ * @returns {string} - The file path.
+ */
+function toFilePath(file) {
+	return file.startsWith("file://") ? fileURLToPath(file) : file;
+}
+
+/**
+ * Read the source map of a generated file, from an inline `data:` URL, the `sourceMappingURL`
+ * comment, or an adjacent `<file>.map`.
+ * @param {string} file - The absolute path of the generated file.
+ * @returns {Object|null} - The `map`, the directory sources are relative to, and the `sourceRoot`, or null.
+ */
+function readSourceMap(file) {
+	const code = fs.readFileSync(file, "utf8");
+
+	// The last sourceMappingURL comment wins, as in browsers and Node.js
+	let url = null;
+	for (const match of code.matchAll(/\/\/[#@]\s*sourceMappingURL=(\S+)/g)) {
+		url = match[1];
+	}
+
+	let payload;
+	let mapDirectory = path.dirname(file);
+	if (url && url.startsWith("data:")) {
+		const separator = url.indexOf(",");
+		const data = url.slice(separator + 1);
+		payload = /;base64$/.test(url.slice(0, separator))
+			? Buffer.from(data, "base64").toString("utf8")
+			: decodeURIComponent(data);
+	} else {
+		const mapFile = url
+			? path.resolve(mapDirectory, toFilePath(url))
+			: `${file}.map`;
+		if (!fs.existsSync(mapFile)) return null;
+		payload = fs.readFileSync(mapFile, "utf8");
+		mapDirectory = path.dirname(mapFile);
+	}
+
+	const json = JSON.parse(payload);
+	return {
+		map: new SourceMap(json),
+		directory: mapDirectory,
+		sourceRoot: json.sourceRoot || "",
+	};
+}
+
+/**
+ * Get the cached source map of a generated file, loading it on first use.
+ * @param {string} file - The absolute path of the generated file.
+ * @returns {Object|null} - The source map data, or null if the file has no usable source map.
+ */
+function getSourceMap(file) {
+	if (!sourceMaps.has(file)) {
+		let sourceMap = null;
+		try {
+			sourceMap = readSourceMap(file);
+		} catch (err) {
+			// Unreadable files and invalid maps fall back to the generated position
+		}
+		sourceMaps.set(file, sourceMap);
+	}
+	return sourceMaps.get(file);
+}
+
+/**
+ * Resolve a generated position to its original position.
+ * @param {string} file - The generated file path or `file://` URL, as reported by a call site.
+ * @param {number} line - The 1-based line number.
+ * @param {number} column - The 1-based column number.
+ * @returns {Object|null} - The original absolute `file`, 1-based `line` and `column`, and `name` (if mapped), or null.
+ */
+function resolveSourcePosition(file, line, column) {
+	if (!file || !line) return null;
+
+	const filePath = toFilePath(file);
+	if (!path.isAbsolute(filePath)) return null; // e.g. node:internal frames
+
+	const sourceMap = getSourceMap(filePath);
+	if (!sourceMap) return null;
+
+	const entry = sourceMap.map.findEntry(line - 1, (column || 1) - 1);
+	if (!entry || entry.originalSource === undefined) return null;
+
+	const source = entry.originalSource;
+	return {
+		file: source.startsWith("file://")
+			? fileURLToPath(source)
+			: path.resolve(sourceMap.directory, sourceMap.sourceRoot, source),
+		line: entry.originalLine + 1,
+		column: entry.originalColumn + 1,
+		name: entry.name,
+	};
+}
+
+module.exports = {
+	resolveSourcePosition,
+};
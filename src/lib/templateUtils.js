@@ -0,0 +1,91 @@
+// lib/templateUtils.js
+
+/**
+ * Utility functions for line layout templates.
+ * @module templateUtils
+ */
+
+const { stripAnsiCodes } = require("./formatUtils");
+
+/**
+ * Pad a value to a visible width, ignoring ANSI color codes.
+ * @param {string} value - The value to pad.
+ * @param {number} width - The minimum visible width.
+ * @param {string} align - "<" (left), ">" (right), or "^" (center).
+ * @returns {string} - The padded value.
+ */
+function padValue(value, width, align) {
+	const padding = width - stripAnsiCodes(value).length;
+	if (padding <= 0) return value;
+
+	switch (align) {
+		case ">":
+			return `${" ".repeat(padding)}${value}`;
+		case "^": {
+			const left = Math.floor(padding / 2);
+			return `${" ".repeat(left)}${value}${" ".repeat(padding - left)}`;
+		}
+		default:
+			return `${value}${" ".repeat(padding)}`;
+	}
+}
+
+/**
+ * Compile a layout template such as `{timestamp} {level:5} {msg}` into a render function.
+ * Tokens accept an optional width and alignment: `{level:5}` or `{level:<5}` (left), `{level:>5}` (right), `{level:^5}` (center).
+ * A token that renders empty and has no width also removes the single space that follows it.
+ * @param {string} template - The template string.
+ * @param {Object<string, Function>} tokens - Token renderers, each receives the log record and returns a string.
+ * @returns {Function} - A function that takes a log record and returns the rendered line.
+ * @throws {Error} Throws an error if the template references an unknown token.
+ */
+function compileTemplate(template, tokens) {
+	const parts = [];
+	const tokenPattern = /\{(\w+)(?::([<>^])?(\d+))?\}/g;
+	let lastIndex = 0;
+	let match;
+
+	while ((match = tokenPattern.exec(template)) !== null) {
+		const [, name, align, width] = match;
+		if (typeof tokens[name] !== "function") {
+			throw new Error(`ACL Template Error: Unknown token '{${name}}'.`);
+		}
+
+		if (match.index > lastIndex) {
+			parts.push(template.slice(lastIndex, match.index));
+		}
+		parts.push({
+			render: tokens[name],
+			width: width ? parseInt(width, 10) : 0,
+			align,
+		});
+		lastIndex = tokenPattern.lastIndex;
+	}
+
+	if (lastIndex < template.length) {
+		parts.push(template.slice(lastIndex));
+	}
+
+	return (record) => {
+		let output = "";
+		let skipSpace = false;
+
+		for (const part of parts) {
+			if (typeof part === "string") {
+				output += skipSpace && part[0] === " " ? part.slice(1) : part;
+				skipSpace = false;
+				continue;
+			}
+
+			const value = String(part.render(record) ?? "");
+			skipSpace = value === "" && !part.width;
+			output += part.width ? padValue(value, part.width, part.align) : value;
+		}
+
+		return output;
+	};
+}
+
+module.exports = {
+	compileTemplate,
+};
@@ -5,31 +5,181 @@
  * @module timestampUtils
  */
 
+/**
+ * Named timestamp formats.
+ */
+const TIMESTAMP_PRESETS = {
+	iso: "YYYY-MM-DD[T]HH:mm:ss.SSSZ",
+	epoch: "x",
+};
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Intl.DateTimeFormat instances are expensive to create, so keep one per time zone
+const zoneFormatters = new Map();
+
+/**
+ * Get a cached formatter for an IANA time zone.
+ * @param {string} timezone - The IANA time zone, e.g. "Europe/Berlin".
+ * @returns {Intl.DateTimeFormat} - The formatter.
+ * @throws {Error} Throws an error if the time zone is unknown.
+ */
+function getZoneFormatter(timezone) {
+	let formatter = zoneFormatters.get(timezone);
+	if (!formatter) {
+		try {
+			formatter = new Intl.DateTimeFormat("en-US", {
+				timeZone: timezone,
+				hourCycle: "h23",
+				year: "numeric",
+				month: "numeric",
+				day: "numeric",
+				hour: "numeric",
+				minute: "numeric",
+				second: "numeric",
+				weekday: "short",
+			});
+		} catch (err) {
+			throw new Error(`ACL Timestamp Error: Unknown time zone '${timezone}'.`);
+		}
+		zoneFormatters.set(timezone, formatter);
+	}
+	return formatter;
+}
+
+/**
+ * Get the date parts of a date in the given time zone.
+ * @param {Date} date - The date.
+ * @param {string} [timezone] - "UTC", an IANA time zone, or undefined for local time.
+ * @returns {Object} - The year, month (1-based), day, hours, minutes, seconds, weekday, and offset in minutes.
+ */
+function getDateParts(date, timezone) {
+	if (!timezone) {
+		return {
+			year: date.getFullYear(),
+			month: date.getMonth() + 1, // Months are 0-based
+			day: date.getDate(),
+			hours: date.getHours(),
+			minutes: date.getMinutes(),
+			seconds: date.getSeconds(),
+			weekday: WEEKDAYS[date.getDay()],
+			offset: -date.getTimezoneOffset(),
+		};
+	}
+
+	if (timezone.toUpperCase() === "UTC") {
+		return {
+			year: date.getUTCFullYear(),
+			month: date.getUTCMonth() + 1,
+			day: date.getUTCDate(),
+			hours: date.getUTCHours(),
+			minutes: date.getUTCMinutes(),
+			seconds: date.getUTCSeconds(),
+			weekday: WEEKDAYS[date.getUTCDay()],
+			offset: 0,
+		};
+	}
+
+	const parts = {};
+	for (const { type, value } of getZoneFormatter(timezone).formatToParts(
+		date
+	)) {
+		parts[type] = value;
+	}
+
+	const result = {
+		year: Number(parts.year),
+		month: Number(parts.month),
+		day: Number(parts.day),
+		hours: Number(parts.hour),
+		minutes: Number(parts.minute),
+		seconds: Number(parts.second),
+		weekday: parts.weekday,
+	};
+	// The offset is the difference between the wall clock time in the zone and UTC
+	const wallClock = Date.UTC(
+		result.year,
+		result.month - 1,
+		result.day,
+		result.hours,
+		result.minutes,
+		result.seconds
+	);
+	result.offset = Math.round(
+		(wallClock - (date.getTime() - date.getUTCMilliseconds())) / 60000
+	);
+	return result;
+}
+
+/**
+ * Format a UTC offset in minutes.
+ * @param {number} offset - The offset in minutes.
+ * @param {string} [separator=":"] - Separator between hours and minutes.
+ * @returns {string} - The offset, e.g. "+02:00".
+ */
+function formatOffset(offset, separator = ":") {
+	const sign = offset < 0 ? "-" : "+";
+	const absolute = Math.abs(offset);
+	const hours = String(Math.floor(absolute / 60)).padStart(2, "0");
+	const minutes = String(absolute % 60).padStart(2, "0");
+	return `${sign}${hours}${separator}${minutes}`;
+}
+
 /**
  * Get the current timestamp formatted according to the given pattern.
- * Supported patterns: YYYY, MM, DD, HH, mm, ss, SSS
+ * Supported patterns: YYYY, MM, DD, HH, mm, ss, SSS, ddd (weekday), Z (+02:00), ZZ (+0200),
+ * x (epoch milliseconds), X (epoch seconds). Text in square brackets is kept as is.
+ * The presets "iso" and "epoch" can be used instead of a pattern.
  * @param {string} format - The format string, e.g., "YYYY-MM-DD HH:mm:ss.SSS".
+ * @param {Date} [date=new Date()] - The date to format.
+ * @param {string} [timezone] - "UTC" or an IANA time zone, e.g. "America/New_York". Defaults to local time.
  * @returns {string} - The formatted timestamp.
  */
-function getCurrentTimestamp(format = "HH:mm:ss.SSS") {
-	const date = new Date();
+function getCurrentTimestamp(
+	format = "HH:mm:ss.SSS",
+	date = new Date(),
+	timezone
+) {
+	format = TIMESTAMP_PRESETS[format] || format;
 
 	// Extract individual date components
+	const parts = getDateParts(date, timezone);
 	const components = {
-		YYYY: date.getFullYear(),
-		MM: String(date.getMonth() + 1).padStart(2, "0"), // Months are 0-based
-		DD: String(date.getDate()).padStart(2, "0"),
-		HH: String(date.getHours()).padStart(2, "0"),
-		mm: String(date.getMinutes()).padStart(2, "0"),
-		ss: String(date.getSeconds()).padStart(2, "0"),
+		YYYY: parts.year,
+		MM: String(parts.month).padStart(2, "0"),
+		DD: String(parts.day).padStart(2, "0"),
+		ddd: parts.weekday,
+		HH: String(parts.hours).padStart(2, "0"),
+		mm: String(parts.minutes).padStart(2, "0"),
+		ss: String(parts.seconds).padStart(2, "0"),
 		SSS: String(date.getMilliseconds()).padStart(3, "0"),
+		ZZ: formatOffset(parts.offset, ""),
+		Z: formatOffset(parts.offset),
+		x: date.getTime(),
+		X: Math.floor(date.getTime() / 1000),
 	};
 
 	// Replace the format tokens in the input format string
 	return format.replace(
-		/YYYY|MM|DD|HH|mm|ss|SSS/g,
-		(match) => components[match]
+		/\[([^\]]*)\]|YYYY|MM|DD|ddd|HH|mm|ss|SSS|ZZ|Z|x|X/g,
+		(match, literal) => (literal !== undefined ? literal : components[match])
 	);
 }
 
-module.exports = { getCurrentTimestamp };
+/**
+ * Format a duration in a short human readable form, e.g. "12ms", "1.5s", "2.0m", or "1.2h".
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} - The formatted duration.
+ */
+function formatDuration(ms) {
+	if (ms < 1000) return `${ms}ms`;
+	if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+	if (ms < 3600000) return `${(ms / 60000).toFixed(1)}m`;
+	return `${(ms / 3600000).toFixed(1)}h`;
+}
+
+module.exports = {
+	TIMESTAMP_PRESETS,
+	getCurrentTimestamp,
+	formatDuration,
+};
@@ -0,0 +1,45 @@
+/**
+ * Built-in transport that writes colored log lines to the console.
+ */
+class ConsoleTransport {
+	/**
+	 * Creates an instance of ConsoleTransport.
+	 * @param {ACL} logger - The logger instance that owns this transport.
+	 * @param {Object} [options] - Transport options.
+	 * @param {number} [options.level] - Optional minimum log level (0 = debug, 5 = fatal), applied on top of `logLevel`.
+	 * @param {Function} [options.format] - Optional formatter, receives the log record and returns the output.
+	 */
+	constructor(logger, { level, format } = {}) {
+		this.name = "console";
+		this.logger = logger;
+		this.level = level;
+		this.format = format || ((record) => logger.formatConsoleMessage(record));
+	}
+
+	/**
+	 * Determine if the record should be written to the console.
+	 * @param {Object} record - The log record.
+	 * @returns {boolean} - Whether the record is accepted.
+	 */
+	accepts(record) {
+		if (typeof this.level === "number" && record.level < this.level) {
+			return false;
+		}
+		return this.logger.shouldLogToConsole(
+			record.condition,
+			record.threshold,
+			record.namespace
+		);
+	}
+
+	/**
+	 * Write the formatted output to the console stream of the record's level.
+	 * @param {string} output - The formatted log line.
+	 * @param {Object} record - The log record.
+	 */
+	log(output, record) {
+		this.logger.writeToConsole(record.levelName, output);
+	}
+}
+
+module.exports = ConsoleTransport;
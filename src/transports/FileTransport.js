@@ -0,0 +1,42 @@
+/**
+ * Built-in transport that writes plain text or JSON log lines through the FileLogHandler.
+ */
+class FileTransport {
+	/**
+	 * Creates an instance of FileTransport.
+	 * @param {ACL} logger - The logger instance that owns this transport.
+	 * @param {Object} [options] - Transport options.
+	 * @param {number} [options.level] - Optional minimum log level (0 = debug, 5 = fatal), applied on top of `outputFileLogLevel`.
+	 * @param {Function} [options.format] - Optional formatter, receives the log record and returns the output.
+	 */
+	constructor(logger, { level, format } = {}) {
+		this.name = "file";
+		this.logger = logger;
+		this.level = level;
+		this.format = format || ((record) => logger.formatFileMessage(record));
+	}
+
+	/**
+	 * Determine if the record should be written to the log file.
+	 * @param {Object} record - The log record.
+	 * @returns {boolean} - Whether the record is accepted.
+	 */
+	accepts(record) {
+		if (typeof this.level === "number" && record.level < this.level) {
+			return false;
+		}
+		// Lines after `close()` are still accepted, so `logWithFileLogger` can report them as dropped
+		return this.logger.shouldLogToFile(record.condition, record.threshold);
+	}
+
+	/**
+	 * Hand the formatted output to the logger's FileLogHandler.
+	 * @param {string} output - The formatted log line.
+	 * @param {Object} record - The log record.
+	 */
+	log(output, record) {
+		this.logger.logWithFileLogger(output, record);
+	}
+}
+
+module.exports = FileTransport;
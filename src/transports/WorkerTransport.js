@@ -0,0 +1,41 @@
+/**
+ * Built-in transport that sends plain text or JSON log lines to the worker thread.
+ */
+class WorkerTransport {
+	/**
+	 * Creates an instance of WorkerTransport.
+	 * @param {ACL} logger - The logger instance that owns this transport.
+	 * @param {Object} [options] - Transport options.
+	 * @param {number} [options.level] - Optional minimum log level (0 = debug, 5 = fatal), applied on top of `outputFileLogLevel`.
+	 * @param {Function} [options.format] - Optional formatter, receives the log record and returns the output.
+	 */
+	constructor(logger, { level, format } = {}) {
+		this.name = "worker";
+		this.logger = logger;
+		this.level = level;
+		this.format = format || ((record) => logger.formatFileMessage(record));
+	}
+
+	/**
+	 * Determine if the record should be sent to the worker.
+	 * @param {Object} record - The log record.
+	 * @returns {boolean} - Whether the record is accepted.
+	 */
+	accepts(record) {
+		if (typeof this.level === "number" && record.level < this.level) {
+			return false;
+		}
+		return this.logger.shouldLogToFile(record.condition, record.threshold);
+	}
+
+	/**
+	 * Post the formatted output to the worker thread.
+	 * @param {string} output - The formatted log line.
+	 * @param {Object} record - The log record.
+	 */
+	log(output, record) {
+		this.logger.logWithWorker(output, record);
+	}
+}
+
+module.exports = WorkerTransport;
@@ -1,6 +1,9 @@
 const { parentPort, workerData } = require("worker_threads");
 const FileLogger = require("../core/FileLogger");
 const fileLogger = new FileLogger(workerData);
+fileLogger.on("rotate", (info) =>
+	parentPort.postMessage({ type: "rotate", ...info })
+);
 let pendingMessages = 0;
 let closeSignalReceived = false;
 let shutdownInProgress = false;